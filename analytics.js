@@ -1,9 +1,43 @@
 // Analytics page JavaScript
+const REQUESTS_PAGE_SIZE = 50;
+const SESSION_REQUESTS_LIMIT = 200; // Requests listed under an expanded page load
+const REQUEST_FILTERS = ['text', 'method', 'status', 'contentType', 'domain', 'tabId', 'from', 'to'];
+// Traffic over time: preset ranges and the bucket sizes charts pick from
+const TIME_RANGES = { '15m': 15 * 60 * 1000, '1h': 60 * 60 * 1000, '24h': 24 * 60 * 60 * 1000, '7d': 7 * 24 * 60 * 60 * 1000 };
+const TIME_BUCKETS = [1, 5, 15, 30, 60, 180, 360, 720, 1440].map(minutes => minutes * 60 * 1000);
+const MAX_TIME_BUCKETS = 180;
+const TIMELINE_WIDTH = 560;
+const TIMELINE_HEIGHT = 170;
+const TIMELINE_PADDING = { top: 10, right: 10, bottom: 22, left: 52 };
+
+// Headers a page cannot set on fetch(), left out of "Copy as fetch"; cookies go through credentials
+const FETCH_FORBIDDEN_HEADERS = [
+  'accept-charset', 'accept-encoding', 'connection', 'content-length', 'cookie', 'date', 'dnt', 'expect',
+  'host', 'keep-alive', 'origin', 'referer', 'te', 'trailer', 'transfer-encoding', 'upgrade', 'user-agent', 'via'
+];
+// Headers curl works out itself from the URL and the body it sends
+const CURL_SKIPPED_HEADERS = ['content-length', 'host'];
+
 class AnalyticsPage {
   constructor() {
-    this.data = [];
-    this.summary = {};
+    this.pageSessions = [];
+    this.overview = {}; // Summary of every request, for the filter lists
+    this.summary = {}; // Summary of the requests matching the filters
     this.isLoading = false;
+    this.filters = this.readFiltersFromHash();
+    this.requestCursors = [null]; // Cursor of every page visited so far, for paging back
+    this.requestPage = 0;
+    this.nextRequestsCursor = null;
+    this.requestsQuery = 0;
+    this.summaryQuery = 0;
+    this.timelineQuery = 0;
+    this.filterTimer = null;
+    this.tableRequests = []; // Rows on the current page of the requests table
+    this.inspectedRequest = null;
+    this.timeRange = { preset: '24h' }; // Or { preset: 'custom' | 'zoom', start, end } in epoch ms
+    this.presetRange = '24h'; // What "Reset zoom" goes back to
+    this.timeline = null; // Range and bucket size of the charts on screen, for brushing
+    this.brush = null;
     this.init();
   }
 
@@ -11,6 +45,7 @@ class AnalyticsPage {
     try {
       // Add a small delay to ensure the page is fully loaded
       await new Promise(resolve => setTimeout(resolve, 100));
+      this.setupEventListeners();
       await this.loadAnalytics();
     } catch (error) {
       console.error('Error in analytics init:', error);
@@ -18,6 +53,83 @@ class AnalyticsPage {
     }
   }
 
+  setupEventListeners() {
+    // Expand or collapse detail rows (redirect chains, request bodies, page load requests)
+    ['requestsTableBody', 'sessionsTableBody'].forEach(id => {
+      document.getElementById(id).addEventListener('click', (event) => {
+        const toggle = event.target.closest('.detail-toggle');
+        if (!toggle) return;
+
+        let row = toggle.closest('tr').nextElementSibling;
+        while (row && row.classList.contains('detail-row')) {
+          if (row.dataset.detail === toggle.dataset.detail) {
+            const expanded = row.style.display !== 'none';
+            row.style.display = expanded ? 'none' : 'table-row';
+            toggle.classList.toggle('expanded', !expanded);
+            if (!expanded && toggle.dataset.session && !row.dataset.loaded) {
+              this.loadSessionRequests(row, Number(toggle.dataset.session));
+            }
+          }
+          row = row.nextElementSibling;
+        }
+      });
+    });
+
+    // Filter bar: typing waits for a pause, the time range and lists apply right away
+    REQUEST_FILTERS.forEach(key => {
+      this.getFilterInput(key).addEventListener('input', () => {
+        clearTimeout(this.filterTimer);
+        this.filterTimer = setTimeout(() => this.applyFilters(this.readFiltersFromForm()), 300);
+      });
+    });
+    document.getElementById('clearFiltersBtn').addEventListener('click', () => this.applyFilters({}));
+    document.getElementById('prevPageBtn').addEventListener('click', () => this.changeRequestsPage(-1));
+    document.getElementById('nextPageBtn').addEventListener('click', () => this.changeRequestsPage(1));
+
+    // Clicking a request row opens it in the inspector
+    document.getElementById('requestsTableBody').addEventListener('click', (event) => {
+      if (event.target.closest('.detail-toggle, .detail-row')) return;
+      const row = event.target.closest('tr[data-index]');
+      if (row) {
+        this.openInspector(this.tableRequests[row.dataset.index]);
+      }
+    });
+    document.getElementById('closeInspectorBtn').addEventListener('click', () => this.closeInspector());
+    document.getElementById('copyCurlBtn').addEventListener('click', () => this.copyRequest('curl'));
+    document.getElementById('copyFetchBtn').addEventListener('click', () => this.copyRequest('fetch'));
+    document.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') this.closeInspector();
+    });
+
+    // Traffic over time: range picker, custom range and brush-to-zoom on any of the charts
+    document.querySelectorAll('.range-btn').forEach(button => {
+      button.addEventListener('click', () => this.selectTimeRange(button.dataset.range));
+    });
+    document.getElementById('applyRangeBtn').addEventListener('click', () => this.applyCustomRange());
+    document.getElementById('resetZoomBtn').addEventListener('click', () => this.selectTimeRange(this.presetRange));
+    const timeline = document.getElementById('timelineCharts');
+    timeline.addEventListener('mousedown', (event) => this.startBrush(event));
+    window.addEventListener('mousemove', (event) => this.moveBrush(event));
+    window.addEventListener('mouseup', (event) => this.endBrush(event));
+
+    // Clicking a chart bar narrows the requests table to it
+    document.getElementById('content').addEventListener('click', (event) => {
+      const bar = event.target.closest('[data-filter]');
+      if (!bar) return;
+
+      this.applyFilters({ ...this.filters, ...JSON.parse(bar.dataset.filter) });
+      document.getElementById('requestsTable').scrollIntoView({ behavior: 'smooth' });
+    });
+
+    // Shared links and back/forward carry the filters in the hash
+    window.addEventListener('hashchange', () => {
+      this.filters = this.readFiltersFromHash();
+      this.writeFiltersToForm();
+      this.refreshFiltered();
+    });
+    this.writeFiltersToForm();
+  }
+
   async loadAnalytics() {
     // Prevent multiple simultaneous calls
     if (this.isLoading) {
@@ -44,27 +156,28 @@ class AnalyticsPage {
         console.log('Debug info:', debugResponse.info);
       }
 
-      // Get data from background script with retry
-      const response = await this.sendMessageWithRetry({ action: 'exportData' });
-      console.log('Export data response:', response);
-      
-      if (response.success && response.data && response.data.length > 0) {
-        this.data = response.data;
-        this.saveToLocalStorage(this.data); // Save to localStorage as backup
-        this.summary = this.generateSummary();
+      // Earlier versions kept a plaintext copy of every request here as a fallback
+      localStorage.removeItem('browserActivityData');
+
+      // Everything on the page is queried from the background; this summary of all requests
+      // tells whether there is anything to show and fills the filter lists
+      const response = await this.sendMessageWithRetry({ action: 'queryRequests', query: { aggregate: true } });
+
+      if (response.success && response.total > 0) {
+        this.overview = response.summary;
+        await this.loadPageSessions();
+        // Without filters the overview already is the summary; only a filtered view needs a second scan
+        if (Object.keys(this.filters).length === 0) {
+          this.summary = this.overview;
+        } else {
+          await this.loadSummary();
+        }
         this.renderAnalytics();
         this.showContent();
+      } else if (response.success || response.locked) {
+        this.showNoData();
       } else {
-        // Try to load from localStorage as fallback
-        const fallbackData = this.loadFromLocalStorage();
-        if (fallbackData && fallbackData.length > 0) {
-          this.data = fallbackData;
-          this.summary = this.generateSummary();
-          this.renderAnalytics();
-          this.showContent();
-        } else {
-          this.showNoData();
-        }
+        this.showError(`Could not load requests: ${response.error}`);
       }
     } catch (error) {
       console.error('Error loading analytics:', error);
@@ -75,67 +188,61 @@ class AnalyticsPage {
     }
   }
 
-  generateSummary() {
-    if (this.data.length === 0) {
-      return {
-        total_requests: 0,
-        unique_domains: 0,
-        methods: {},
-        status_codes: {},
-        content_types: {},
-        protocols: {},
-        total_size: 0,
-        avg_response_time: 0
-      };
-    }
-
-    const summary = {
-      total_requests: this.data.length,
-      unique_domains: new Set(this.data.map(r => {
-        try {
-          return new URL(r.url).hostname;
-        } catch {
-          return 'unknown';
-        }
-      })).size,
-      methods: {},
-      status_codes: {},
-      content_types: {},
-      protocols: {},
-      total_size: 0,
-      avg_response_time: 0
-    };
+  // Page loads are optional: without them the requests are still shown, just not grouped
+  async loadPageSessions() {
+    const response = await this.sendMessage({ action: 'getPageSessions' });
+    this.pageSessions = response.success ? response.sessions : [];
+  }
 
-    this.data.forEach(request => {
-      // Count methods
-      summary.methods[request.method] = (summary.methods[request.method] || 0) + 1;
-      
-      // Count status codes
-      summary.status_codes[request.response_code] = (summary.status_codes[request.response_code] || 0) + 1;
-      
-      // Count content types
-      if (request.content_type) {
-        const type = request.content_type.split(';')[0];
-        summary.content_types[type] = (summary.content_types[type] || 0) + 1;
-      }
-      
-      // Count protocols
-      summary.protocols[request.protocol] = (summary.protocols[request.protocol] || 0) + 1;
-      
-      // Calculate total size
-      summary.total_size += request.content_length || 0;
-    });
+  // The stats and charts cover the requests matching the filter bar, summarized by the background
+  async loadSummary() {
+    const token = ++this.summaryQuery;
+    const response = await this.sendMessage({ action: 'queryRequests', query: { aggregate: true, filters: this.buildQueryFilters() } });
+    // A newer filter change already replaced this one
+    if (token !== this.summaryQuery) return false;
+    if (!response.success) {
+      throw new Error(response.error || 'Could not summarize requests');
+    }
+    this.summary = response.summary;
+    if (Object.keys(this.filters).length === 0) {
+      this.overview = response.summary;
+    }
+    return true;
+  }
 
-    return summary;
+  // Filters narrow the stats and charts as well as the requests table
+  async refreshFiltered() {
+    this.resetRequestsPage();
+    this.loadRequestsPage();
+    try {
+      this.loadTimeSeries();
+      if (await this.loadSummary()) {
+        this.renderSummary();
+      }
+    } catch (error) {
+      console.error('Error loading summary:', error);
+    }
   }
 
   renderAnalytics() {
+    this.renderSummary();
+    this.loadTimeSeries();
+    this.loadSessionsTable();
+    this.renderFilterOptions();
+    this.resetRequestsPage();
+    this.loadRequestsPage();
+  }
+
+  renderSummary() {
     this.renderStats();
     this.renderMethodsChart();
     this.renderStatusChart();
     this.renderContentTypesChart();
     this.renderProtocolsChart();
-    this.renderRequestsTable();
+    this.renderLatencyChart();
+    this.renderTimingBreakdownChart();
+    this.renderFailuresCharts();
+    this.renderOriginCharts();
   }
 
   renderStats() {
@@ -156,6 +263,18 @@ class AnalyticsPage {
       {
         number: Object.keys(this.summary.methods).length,
         label: 'HTTP Methods Used'
+      },
+      {
+        number: this.formatDuration(this.summary.avg_response_time),
+        label: 'Avg Response Time'
+      },
+      {
+        number: this.formatDuration(this.summary.latency.response_time.p95),
+        label: 'p95 Latency'
+      },
+      {
+        number: this.summary.failures.total.toLocaleString(),
+        label: 'Failed Requests'
       }
     ];
 
@@ -177,8 +296,8 @@ class AnalyticsPage {
       .map(([method, count]) => {
         const percentage = (count / maxCount) * 100;
         return `
-          <div class="bar-item">
-            <div class="bar-label">${method}</div>
+          <div class="bar-item"${this.filterAttribute({ method })}>
+            <div class="bar-label">${this.escapeHtml(method)}</div>
             <div class="bar-fill" style="width: ${percentage}%">
               <div class="bar-value">${count}</div>
             </div>
@@ -198,8 +317,8 @@ class AnalyticsPage {
         const percentage = (count / maxCount) * 100;
         const color = this.getStatusColor(code);
         return `
-          <div class="bar-item">
-            <div class="bar-label">${code}</div>
+          <div class="bar-item"${this.filterAttribute({ status: code })}>
+            <div class="bar-label">${this.escapeHtml(code)}</div>
             <div class="bar-fill" style="width: ${percentage}%; background: ${color}">
               <div class="bar-value">${count}</div>
             </div>
@@ -219,9 +338,9 @@ class AnalyticsPage {
       .map(([type, count], index) => {
         const color = colors[index % colors.length];
         return `
-          <div class="pie-item">
+          <div class="pie-item"${this.filterAttribute({ contentType: type })}>
             <div class="pie-color" style="background: ${color}"></div>
-            <div class="pie-label">${type} (${count})</div>
+            <div class="pie-label">${this.escapeHtml(type)} (${count})</div>
           </div>
         `;
       }).join('');
@@ -238,28 +357,1004 @@ class AnalyticsPage {
         return `
           <div class="pie-item">
             <div class="pie-color" style="background: ${color}"></div>
-            <div class="pie-label">${protocol} (${count})</div>
+            <div class="pie-label">${this.escapeHtml(protocol)} (${count})</div>
           </div>
         `;
       }).join('');
   }
 
-  renderRequestsTable() {
+  renderLatencyChart() {
+    const chart = document.getElementById('latencyChart');
+    const latency = this.summary.latency.response_time;
+
+    if (latency.count === 0) {
+      chart.innerHTML = '<div class="no-data">No timing data captured yet</div>';
+      return;
+    }
+
+    const percentiles = [['p50', latency.p50], ['p95', latency.p95], ['p99', latency.p99]];
+    const maxValue = Math.max(...percentiles.map(([, value]) => value)) || 1;
+
+    chart.innerHTML = percentiles.map(([label, value]) => {
+      const percentage = (value / maxValue) * 100;
+      return `
+        <div class="bar-item">
+          <div class="bar-label">${label}</div>
+          <div class="bar-fill" style="width: ${percentage}%">
+            <div class="bar-value">${this.formatDuration(value)}</div>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  renderTimingBreakdownChart() {
+    const chart = document.getElementById('timingBreakdownChart');
+    const latency = this.summary.latency;
+    const phases = [
+      ['Queue', latency.timing_queue],
+      ['Send', latency.timing_send],
+      ['TTFB', latency.timing_ttfb],
+      ['Download', latency.timing_download]
+    ];
+
+    if (phases.every(([, stats]) => stats.count === 0)) {
+      chart.innerHTML = '<div class="no-data">No timing data captured yet</div>';
+      return;
+    }
+
+    const maxValue = Math.max(...phases.map(([, stats]) => stats.avg)) || 1;
+
+    chart.innerHTML = phases.map(([label, stats]) => {
+      const percentage = (stats.avg / maxValue) * 100;
+      return `
+        <div class="bar-item">
+          <div class="bar-label" title="p50 ${this.formatDuration(stats.p50)} / p95 ${this.formatDuration(stats.p95)} / p99 ${this.formatDuration(stats.p99)}">${label}</div>
+          <div class="bar-fill" style="width: ${percentage}%">
+            <div class="bar-value">${this.formatDuration(stats.avg)}</div>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  renderFailuresCharts() {
+    this.renderFailureBreakdown('failuresByErrorChart', this.summary.failures.by_error, error => ({ status: 'failed', text: error }));
+    this.renderFailureBreakdown('failuresByDomainChart', this.summary.failures.by_domain, domain => ({ status: 'failed', domain }));
+  }
+
+  renderFailureBreakdown(chartId, counts, toFilter = null) {
+    this.renderBreakdown(chartId, counts, '#f44336', 'No failed requests', true, toFilter);
+  }
+
+  // Breakdowns for third-party audits: what kind of resource, fired by which origin, from which frame
+  renderOriginCharts() {
+    const { frames, cache } = this.summary;
+    this.renderBreakdown('resourceTypesChart', this.summary.resource_types, '#667eea', 'No resource types recorded');
+    this.renderBreakdown('initiatorsChart', this.summary.initiators, '#764ba2', 'No initiators recorded');
+    this.renderBreakdown('framesCacheChart', {
+      'Main frame': frames.main_frame,
+      'Subframes': frames.sub_frame,
+      'No frame (workers)': frames.no_frame,
+      'From cache': cache.from_cache,
+      'From network': cache.network
+    }, '#4caf50', 'No frame or cache data recorded', false);
+  }
+
+  // toFilter maps a bar's label to the table filters a click on it applies
+  renderBreakdown(chartId, counts, color, emptyText, sorted = true, toFilter = null) {
+    const chart = document.getElementById(chartId);
+    let entries = Object.entries(counts).filter(([, count]) => count > 0);
+    if (sorted) {
+      entries = entries.sort(([,a], [,b]) => b - a).slice(0, 10);
+    }
+
+    if (entries.length === 0) {
+      chart.innerHTML = `<div class="no-data">${emptyText}</div>`;
+      return;
+    }
+
+    const maxCount = Math.max(...entries.map(([, count]) => count));
+    chart.innerHTML = entries.map(([label, count]) => {
+      const percentage = (count / maxCount) * 100;
+      return `
+        <div class="bar-item"${toFilter ? this.filterAttribute(toFilter(label)) : ''}>
+          <div class="bar-label" title="${this.escapeHtml(label)}">${this.escapeHtml(this.truncateUrl(label, 28))}</div>
+          <div class="bar-fill" style="width: ${percentage}%; background: ${color}">
+            <div class="bar-value">${count}</div>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  // Request filters: kept in the URL hash, e.g. #status=4xx&domain=api.example.com
+  readFiltersFromHash() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const filters = {};
+    REQUEST_FILTERS.forEach(key => {
+      if (params.get(key)) filters[key] = params.get(key);
+    });
+    return filters;
+  }
+
+  readFiltersFromForm() {
+    const filters = {};
+    REQUEST_FILTERS.forEach(key => {
+      const value = this.getFilterInput(key).value.trim();
+      if (value) filters[key] = value;
+    });
+    return filters;
+  }
+
+  writeFiltersToForm() {
+    REQUEST_FILTERS.forEach(key => {
+      this.getFilterInput(key).value = this.filters[key] || '';
+    });
+    document.getElementById('clearFiltersBtn').disabled = Object.keys(this.filters).length === 0;
+  }
+
+  getFilterInput(key) {
+    return document.getElementById(`filter${key.charAt(0).toUpperCase()}${key.slice(1)}`);
+  }
+
+  applyFilters(filters) {
+    this.filters = {};
+    REQUEST_FILTERS.forEach(key => {
+      if (filters[key] !== undefined && filters[key] !== null && String(filters[key]).trim()) {
+        this.filters[key] = String(filters[key]).trim();
+      }
+    });
+
+    // replaceState: typing a search should not leave a history entry per keystroke
+    const hash = new URLSearchParams(this.filters).toString();
+    history.replaceState(null, '', hash ? `#${hash}` : window.location.pathname + window.location.search);
+    this.writeFiltersToForm();
+    this.refreshFiltered();
+  }
+
+  filterAttribute(filter) {
+    return ` data-filter="${this.escapeHtml(JSON.stringify(filter))}" title="Show these requests"`;
+  }
+
+  // Translates the filter bar into queryRequests filters; status takes a class (4xx), a code or "failed"
+  buildQueryFilters() {
+    const filters = {
+      text: this.filters.text,
+      method: this.filters.method,
+      contentType: this.filters.contentType,
+      domain: this.filters.domain,
+      tabId: this.filters.tabId
+    };
+
+    const status = (this.filters.status || '').toLowerCase();
+    const statusClass = status.match(/^([1-5])xx$/);
+    if (statusClass) {
+      filters.statusMin = Number(statusClass[1]) * 100;
+      filters.statusMax = Number(statusClass[1]) * 100 + 99;
+    } else if (/^\d+$/.test(status)) {
+      filters.statusMin = filters.statusMax = Number(status);
+    } else if (status === 'failed') {
+      filters.failed = true;
+    }
+
+    // datetime-local values are local times without a zone; Date reads them as such
+    ['from', 'to'].forEach(key => {
+      const date = new Date(this.filters[key]);
+      if (this.filters[key] && !isNaN(date.getTime())) {
+        filters[key] = date.toISOString();
+      }
+    });
+    return filters;
+  }
+
+  renderFilterOptions() {
+    const options = (id, values) => {
+      document.getElementById(id).innerHTML = values
+        .map(value => `<option value="${this.escapeHtml(value)}"></option>`).join('');
+    };
+
+    options('methodOptions', Object.keys(this.overview.methods).sort());
+    options('contentTypeOptions', Object.keys(this.overview.content_types).sort());
+    options('domainOptions', Object.keys(this.overview.domains).filter(Boolean).sort());
+  }
+
+  // Requests table: one page at a time from queryRequests, newest first
+  resetRequestsPage() {
+    this.requestCursors = [null];
+    this.requestPage = 0;
+    this.nextRequestsCursor = null;
+  }
+
+  changeRequestsPage(step) {
+    if (step > 0) {
+      if (!this.nextRequestsCursor) return;
+      this.requestCursors[this.requestPage + 1] = this.nextRequestsCursor;
+    } else if (this.requestPage === 0) {
+      return;
+    }
+    this.requestPage += step;
+    this.loadRequestsPage();
+  }
+
+  async loadRequestsPage() {
+    const token = ++this.requestsQuery;
+    const response = await this.sendMessage({
+      action: 'queryRequests',
+      query: { filters: this.buildQueryFilters(), sort: 'timestamp', order: 'desc', limit: REQUESTS_PAGE_SIZE, cursor: this.requestCursors[this.requestPage] }
+    });
+    const page = response.success ? { records: response.records, nextCursor: response.nextCursor } : { error: response.error };
+
+    // A newer filter change or page turn already replaced this one
+    if (token !== this.requestsQuery) return;
+
+    this.nextRequestsCursor = page.nextCursor || null;
+    if (page.error) {
+      document.getElementById('requestsTableBody').innerHTML = `
+        <tr><td colspan="6" style="color: #f44336; text-align: center;">Could not load requests: ${this.escapeHtml(page.error)}</td></tr>`;
+    } else {
+      this.renderRequestsTable(page.records);
+    }
+    this.updateRequestsPager(page.records ? page.records.length : 0);
+  }
+
+  updateRequestsPager(count) {
+    const first = this.requestPage * REQUESTS_PAGE_SIZE;
+    document.getElementById('pageInfo').textContent = count > 0
+      ? `Requests ${(first + 1).toLocaleString()}–${(first + count).toLocaleString()}`
+      : '';
+    document.getElementById('prevPageBtn').disabled = this.requestPage === 0;
+    document.getElementById('nextPageBtn').disabled = !this.nextRequestsCursor;
+  }
+
+  renderRequestsTable(requests) {
     const tbody = document.getElementById('requestsTableBody');
-    const recentRequests = this.data
-      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-      .slice(0, 50); // Show last 50 requests
+    this.tableRequests = requests;
+    if (requests.length === 0) {
+      tbody.innerHTML = `
+        <tr><td colspan="6" style="color: #999; text-align: center;">${Object.keys(this.filters).length > 0 ? 'No requests match these filters' : 'No requests recorded yet'}</td></tr>`;
+      return;
+    }
 
-    tbody.innerHTML = recentRequests.map(request => `
-      <tr>
+    tbody.innerHTML = requests.map((request, index) => {
+      const redirectChain = this.parseRedirectChain(request.redirect_chain);
+      const hasBody = request.request_body !== undefined && request.request_body !== null;
+      return `
+      <tr class="request-row${request === this.inspectedRequest ? ' selected' : ''}" data-index="${index}" title="Show request details">
         <td>${this.formatTime(request.timestamp)}</td>
-        <td><span style="color: ${this.getMethodColor(request.method)}; font-weight: bold;">${request.method}</span></td>
-        <td title="${request.url}">${this.truncateUrl(request.url)}</td>
-        <td><span style="color: ${this.getStatusColor(request.response_code)}; font-weight: bold;">${request.response_code}</span></td>
+        <td><span style="color: ${this.getMethodColor(request.method)}; font-weight: bold;">${this.escapeHtml(request.method)}</span></td>
+        <td title="${this.escapeHtml(request.url)}">${this.escapeHtml(this.truncateUrl(request.url))}${redirectChain.length > 0 ? `
+          <button class="detail-toggle" data-detail="redirects">${redirectChain.length} redirect${redirectChain.length === 1 ? '' : 's'}</button>` : ''}${hasBody ? `
+          <button class="detail-toggle" data-detail="body">Body</button>` : ''}</td>
+        <td>${request.error
+          ? `<span style="color: #f44336; font-weight: bold;" title="${this.escapeHtml(request.error)}">${this.escapeHtml(request.error.replace('net::', ''))}</span>`
+          : `<span style="color: ${this.getStatusColor(request.response_code)}; font-weight: bold;">${request.response_code}</span>`}</td>
         <td>${this.formatBytes(request.content_length || 0)}</td>
         <td>${this.getContentTypeIcon(request.content_type)}</td>
+      </tr>${redirectChain.length > 0 ? this.renderRedirectChain(redirectChain, request) : ''}${hasBody ? this.renderRequestBody(request) : ''}
+    `;
+    }).join('');
+  }
+
+  // Traffic over time
+  selectTimeRange(preset) {
+    if (preset === 'custom') {
+      // Start from what is on screen so the inputs are never empty
+      const { start, end } = this.getTimeRangeBounds();
+      this.setCustomRangeInputs(start, end);
+      this.timeRange = { preset: 'custom', start, end };
+    } else {
+      this.presetRange = preset;
+      this.timeRange = { preset };
+    }
+    this.loadTimeSeries();
+  }
+
+  applyCustomRange() {
+    const start = new Date(document.getElementById('rangeFrom').value).getTime();
+    const end = new Date(document.getElementById('rangeTo').value).getTime();
+    if (isNaN(start) || isNaN(end) || end <= start) {
+      document.getElementById('rangeError').textContent = 'Pick a start before the end';
+      return;
+    }
+    document.getElementById('rangeError').textContent = '';
+    this.timeRange = { preset: 'custom', start, end };
+    this.loadTimeSeries();
+  }
+
+  setCustomRangeInputs(start, end) {
+    // datetime-local wants local time without a zone
+    const local = time => new Date(time - new Date(time).getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+    document.getElementById('rangeFrom').value = local(start);
+    document.getElementById('rangeTo').value = local(end);
+  }
+
+  getTimeRangeBounds() {
+    if (this.timeRange.start !== undefined) {
+      return { start: this.timeRange.start, end: this.timeRange.end };
+    }
+    const end = Date.now();
+    return { start: end - TIME_RANGES[this.timeRange.preset], end };
+  }
+
+  // Requests in the range, bucketed by the background; the smallest bucket size that keeps the
+  // chart readable is used, so 15 minutes shows minutes and 7 days shows hours
+  async loadTimeSeries() {
+    const { start, end } = this.getTimeRangeBounds();
+    const size = TIME_BUCKETS.find(bucket => (end - start) / bucket <= MAX_TIME_BUCKETS) || TIME_BUCKETS[TIME_BUCKETS.length - 1];
+    const first = Math.floor(start / size) * size;
+    const count = Math.max(Math.ceil((end - first) / size), 1);
+
+    // The range narrows the filter bar's from/to, never widens it
+    const filters = this.buildQueryFilters();
+    const from = Math.max(start, filters.from ? new Date(filters.from).getTime() : start);
+    const to = Math.min(end - 1, filters.to ? new Date(filters.to).getTime() : end);
+
+    const token = ++this.timelineQuery;
+    let found = [];
+    if (from <= to) {
+      const response = await this.sendMessage({
+        action: 'queryRequests',
+        query: { aggregate: true, interval: size, filters: { ...filters, from: new Date(from).toISOString(), to: new Date(to).toISOString() } }
+      });
+      if (!response.success) {
+        console.error('Error loading traffic over time:', response.error);
+      }
+      found = response.buckets || [];
+    }
+    // A newer range or filter change already replaced this one
+    if (token !== this.timelineQuery) return;
+
+    const byStart = new Map(found.map(bucket => [bucket.start, bucket]));
+    const buckets = Array.from({ length: count }, (_, index) => byStart.get(first + index * size) || {
+      start: first + index * size,
+      requests: 0,
+      failed: 0,
+      http_errors: 0,
+      bytes: 0,
+      p50: null,
+      p95: null,
+      p99: null
+    });
+    this.renderTimeSeries({ size, first, end: first + count * size, buckets });
+  }
+
+  renderTimeSeries({ size, first, end: last, buckets }) {
+    this.timeline = { start: first, end: last, size };
+
+    document.querySelectorAll('.range-btn').forEach(button => {
+      button.classList.toggle('active', button.dataset.range === this.timeRange.preset);
+    });
+    document.getElementById('customRange').style.display = this.timeRange.preset === 'custom' ? 'flex' : 'none';
+    document.getElementById('resetZoomBtn').style.display = this.timeRange.preset === 'zoom' ? 'inline-block' : 'none';
+
+    const total = buckets.reduce((sum, bucket) => sum + bucket.requests, 0);
+    document.getElementById('timelineInfo').textContent =
+      `${new Date(first).toLocaleString()} – ${new Date(last).toLocaleString()} · ${total.toLocaleString()} request${total === 1 ? '' : 's'} · ${this.formatBucketSize(size)} buckets`;
+
+    const rate = (count, bucket) => bucket.requests ? (count / bucket.requests) * 100 : null;
+    this.renderTimelineChart('requestsOverTimeChart', buckets, [
+      { label: 'Requests', color: '#667eea', type: 'bar', values: buckets.map(bucket => bucket.requests) }
+    ], value => Math.round(value).toLocaleString());
+    this.renderTimelineChart('errorRateChart', buckets, [
+      { label: 'Failed', color: '#f44336', type: 'line', values: buckets.map(bucket => rate(bucket.failed, bucket)) },
+      { label: 'HTTP 4xx/5xx', color: '#ff9800', type: 'line', values: buckets.map(bucket => rate(bucket.http_errors, bucket)) }
+    ], value => `${value.toFixed(value < 10 ? 1 : 0)}%`, 100);
+    this.renderTimelineChart('bytesOverTimeChart', buckets, [
+      { label: 'Bytes', color: '#4caf50', type: 'bar', values: buckets.map(bucket => bucket.bytes) }
+    ], value => this.formatBytes(Math.round(value)));
+    this.renderTimelineChart('latencyOverTimeChart', buckets, [
+      { label: 'p50', color: '#4caf50', type: 'line', values: buckets.map(bucket => bucket.p50) },
+      { label: 'p95', color: '#ff9800', type: 'line', values: buckets.map(bucket => bucket.p95) },
+      { label: 'p99', color: '#f44336', type: 'line', values: buckets.map(bucket => bucket.p99) }
+    ], value => this.formatDuration(value));
+
+    document.getElementById('requestsOverTimeTitle').textContent = `Requests per ${this.formatBucketSize(size)}`;
+  }
+
+  // One SVG chart; series values of null leave a gap. maxValue fixes the y axis (e.g. 100 for %)
+  renderTimelineChart(chartId, buckets, series, formatValue, maxValue = null) {
+    const { top, right, bottom, left } = TIMELINE_PADDING;
+    const plotWidth = TIMELINE_WIDTH - left - right;
+    const plotHeight = TIMELINE_HEIGHT - top - bottom;
+    const values = series.flatMap(item => item.values).filter(value => value !== null);
+    const max = maxValue || Math.max(...values, 0) || 1;
+    const step = plotWidth / buckets.length;
+    const x = index => left + index * step;
+    const y = value => top + plotHeight - (value / max) * plotHeight;
+
+    const grid = [0, 0.5, 1].map(fraction => `
+      <line x1="${left}" x2="${left + plotWidth}" y1="${y(max * fraction)}" y2="${y(max * fraction)}" stroke="#eee"/>
+      <text x="${left - 6}" y="${y(max * fraction) + 4}" text-anchor="end" class="timeline-axis">${this.escapeHtml(formatValue(max * fraction))}</text>
+    `).join('');
+
+    const labelEvery = Math.max(Math.ceil(buckets.length / 6), 1);
+    const ticks = buckets.map((bucket, index) => index % labelEvery === 0 ? `
+      <text x="${x(index)}" y="${TIMELINE_HEIGHT - 6}" text-anchor="start" class="timeline-axis">${this.escapeHtml(this.formatBucketTime(bucket.start))}</text>
+    ` : '').join('');
+
+    const shapes = series.map(item => {
+      if (item.type === 'bar') {
+        return item.values.map((value, index) => value ? `
+          <rect x="${x(index) + step * 0.1}" y="${y(value)}" width="${Math.max(step * 0.8, 1)}" height="${top + plotHeight - y(value)}" fill="${item.color}"/>
+        ` : '').join('');
+      }
+
+      // Lines break over buckets without a value instead of dropping to zero
+      let path = '';
+      let drawing = false;
+      item.values.forEach((value, index) => {
+        if (value === null) {
+          drawing = false;
+          return;
+        }
+        path += `${drawing ? 'L' : 'M'}${(x(index) + step / 2).toFixed(1)},${y(value).toFixed(1)} `;
+        drawing = true;
+      });
+      const dots = item.values.length <= 60
+        ? item.values.map((value, index) => value === null ? '' : `<circle cx="${x(index) + step / 2}" cy="${y(value)}" r="2" fill="${item.color}"/>`).join('')
+        : '';
+      return `<path d="${path}" fill="none" stroke="${item.color}" stroke-width="1.5"/>${dots}`;
+    }).join('');
+
+    // Invisible column per bucket carrying the tooltip for every series
+    const hover = buckets.map((bucket, index) => {
+      const lines = series.map(item => `${item.label}: ${item.values[index] === null ? '–' : formatValue(item.values[index])}`);
+      return `
+        <rect x="${x(index)}" y="${top}" width="${step}" height="${plotHeight}" fill="transparent" class="timeline-hover">
+          <title>${this.escapeHtml([this.formatBucketTime(bucket.start, true), `${bucket.requests} request${bucket.requests === 1 ? '' : 's'}`, ...lines].join('\n'))}</title>
+        </rect>
+      `;
+    }).join('');
+
+    const legend = series.length > 1
+      ? `<div class="timeline-legend">${series.map(item => `<span><i style="background: ${item.color}"></i>${this.escapeHtml(item.label)}</span>`).join('')}</div>`
+      : '';
+
+    document.getElementById(chartId).innerHTML = `${legend}
+      <svg viewBox="0 0 ${TIMELINE_WIDTH} ${TIMELINE_HEIGHT}" class="timeline-svg">
+        ${grid}${ticks}${shapes}${hover}
+        <rect class="timeline-brush" x="0" y="${top}" width="0" height="${plotHeight}" fill="rgba(102, 126, 234, 0.2)" stroke="#667eea" style="display: none;"/>
+      </svg>
+    `;
+  }
+
+  // Brushing: drag across a chart to zoom every chart to that stretch of time
+  getBrushTime(svg, clientX) {
+    const rect = svg.getBoundingClientRect();
+    const { left, right } = TIMELINE_PADDING;
+    const plotWidth = TIMELINE_WIDTH - left - right;
+    const svgX = rect.width ? ((clientX - rect.left) / rect.width) * TIMELINE_WIDTH : left;
+    const fraction = Math.min(Math.max((svgX - left) / plotWidth, 0), 1);
+    return { x: left + fraction * plotWidth, time: this.timeline.start + fraction * (this.timeline.end - this.timeline.start) };
+  }
+
+  startBrush(event) {
+    const svg = event.target.closest('.timeline-svg');
+    if (!svg || !this.timeline || event.button !== 0) return;
+
+    event.preventDefault();
+    const point = this.getBrushTime(svg, event.clientX);
+    this.brush = { svg, from: point, to: point };
+    this.drawBrush();
+  }
+
+  moveBrush(event) {
+    if (!this.brush) return;
+    this.brush.to = this.getBrushTime(this.brush.svg, event.clientX);
+    this.drawBrush();
+  }
+
+  endBrush(event) {
+    if (!this.brush) return;
+
+    const brush = this.brush;
+    this.brush = null;
+    brush.to = this.getBrushTime(brush.svg, event.clientX);
+    const start = Math.min(brush.from.time, brush.to.time);
+    const end = Math.max(brush.from.time, brush.to.time);
+
+    // Anything narrower than a couple of pixels or a single minute is a click, not a zoom
+    if (Math.abs(brush.to.x - brush.from.x) < 3 || end - start < 60 * 1000) {
+      brush.svg.querySelector('.timeline-brush').style.display = 'none';
+      return;
+    }
+    this.timeRange = { preset: 'zoom', start, end };
+    this.setCustomRangeInputs(start, end);
+    this.loadTimeSeries();
+  }
+
+  drawBrush() {
+    const rect = this.brush.svg.querySelector('.timeline-brush');
+    rect.setAttribute('x', Math.min(this.brush.from.x, this.brush.to.x));
+    rect.setAttribute('width', Math.abs(this.brush.to.x - this.brush.from.x));
+    rect.style.display = '';
+  }
+
+  formatBucketSize(size) {
+    const minutes = size / 60000;
+    if (minutes < 60) return minutes === 1 ? 'minute' : `${minutes} min`;
+    if (minutes < 1440) return minutes === 60 ? 'hour' : `${minutes / 60} h`;
+    return 'day';
+  }
+
+  formatBucketTime(time, full = false) {
+    const date = new Date(time);
+    const span = this.timeline ? this.timeline.end - this.timeline.start : 0;
+    if (full || span > TIME_RANGES['24h']) {
+      return date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    }
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+
+  // Page loads with their request counts; a load's requests are only fetched when it is expanded
+  async loadSessionsTable() {
+    const tbody = document.getElementById('sessionsTableBody');
+    const recentSessions = [...this.pageSessions]
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .slice(0, 50); // Show last 50 page loads
+
+    if (recentSessions.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="5" style="color: #999; text-align: center;">No page loads recorded yet</td></tr>';
+      return;
+    }
+
+    const totals = await Promise.all(recentSessions.map(session => this.sendMessage({
+      action: 'queryRequests',
+      query: { aggregate: true, filters: { pageSessionId: session.id } }
+    })));
+
+    tbody.innerHTML = recentSessions.map((session, index) => {
+      const summary = totals[index].success ? totals[index].summary : { total_requests: 0, total_size: 0 };
+      const count = summary.total_requests;
+      return `
+      <tr>
+        <td>${this.formatTime(session.started_at)}</td>
+        <td title="${this.escapeHtml(session.url)}">
+          <div style="font-weight: bold;">${this.escapeHtml(this.truncateUrl(session.title || session.domain || '', 60))}</div>
+          <div style="color: #999; font-size: 0.85em;">${this.escapeHtml(this.truncateUrl(session.url || ''))}</div>
+        </td>
+        <td>${count > 0
+          ? `<button class="detail-toggle" data-detail="requests" data-session="${session.id}">${count} request${count === 1 ? '' : 's'}</button>`
+          : '0 requests'}</td>
+        <td>${this.formatSessionLoad(session)}</td>
+        <td>${this.formatBytes(summary.total_size)}</td>
+      </tr>${count > 0 ? this.renderSessionRequests() : ''}
+    `;
+    }).join('');
+  }
+
+  formatSessionLoad(session) {
+    if (session.error) {
+      return `<span style="color: #f44336; font-weight: bold;" title="${this.escapeHtml(session.error)}">${this.escapeHtml(session.error.replace('net::', ''))}</span>`;
+    }
+    if (typeof session.load_duration === 'number') {
+      const domReady = typeof session.dom_content_loaded === 'number'
+        ? ` title="DOMContentLoaded after ${this.formatDuration(session.dom_content_loaded)}"`
+        : '';
+      return `<span style="color: #4caf50; font-weight: bold;"${domReady}>${this.formatDuration(session.load_duration)}</span>`;
+    }
+    return '<span style="color: #999;">loading</span>';
+  }
+
+  renderSessionRequests() {
+    return `
+      <tr class="detail-row" data-detail="requests" style="display: none;">
+        <td colspan="5">
+          <ol class="redirect-chain">
+            <li style="color: #999;">Loading requests…</li>
+          </ol>
+        </td>
       </tr>
+    `;
+  }
+
+  async loadSessionRequests(row, sessionId) {
+    row.dataset.loaded = 'true';
+    const response = await this.sendMessage({
+      action: 'queryRequests',
+      query: { filters: { pageSessionId: sessionId }, sort: 'timestamp', order: 'asc', limit: SESSION_REQUESTS_LIMIT }
+    });
+    const list = row.querySelector('ol');
+
+    if (!response.success) {
+      delete row.dataset.loaded; // Try again on the next expand
+      list.innerHTML = `<li style="color: #f44336;">Could not load requests: ${this.escapeHtml(response.error)}</li>`;
+      return;
+    }
+
+    list.innerHTML = response.records.map(request => `
+      <li>
+        <span style="color: ${this.getMethodColor(request.method)}; font-weight: bold;">${this.escapeHtml(request.method)}</span>
+        ${request.error
+          ? `<span style="color: #f44336; font-weight: bold;">${this.escapeHtml(request.error.replace('net::', ''))}</span>`
+          : `<span style="color: ${this.getStatusColor(request.response_code)}; font-weight: bold;">${request.response_code}</span>`}
+        <span class="redirect-duration">${this.escapeHtml(request.resource_type || '')}</span>
+        <span title="${this.escapeHtml(request.url)}">${this.escapeHtml(this.truncateUrl(request.url, 80))}</span>
+        <span class="redirect-duration">${typeof request.response_time === 'number' ? this.formatDuration(request.response_time) : ''}</span>
+      </li>
+    `).join('') + (response.nextCursor
+      ? `<li style="color: #999;">Showing the first ${SESSION_REQUESTS_LIMIT} requests</li>`
+      : '');
+  }
+
+  renderRedirectChain(redirectChain, request) {
+    const hops = redirectChain.map((hop, index) => `
+      <li>
+        <span style="color: ${this.getStatusColor(hop.status_code)}; font-weight: bold;">${hop.status_code}</span>
+        <span title="${this.escapeHtml(hop.url)}">${this.escapeHtml(this.truncateUrl(hop.url, 80))}</span>
+        <span class="redirect-duration">${typeof hop.duration === 'number' ? this.formatDuration(hop.duration) : ''}</span>
+      </li>
     `).join('');
+
+    return `
+      <tr class="detail-row" data-detail="redirects" style="display: none;">
+        <td colspan="6">
+          <ol class="redirect-chain">
+            ${hops}
+            <li>
+              <span style="color: ${this.getStatusColor(request.response_code)}; font-weight: bold;">${request.response_code}</span>
+              <span title="${this.escapeHtml(request.url)}">${this.escapeHtml(this.truncateUrl(request.url, 80))}</span>
+            </li>
+          </ol>
+        </td>
+      </tr>
+    `;
+  }
+
+  renderRequestBody(request) {
+    const details = [
+      request.request_body_type,
+      this.formatBytes(request.request_body_size || 0),
+      request.request_body_truncated ? 'truncated' : null,
+      request.request_body_hash ? `SHA-256 ${request.request_body_hash.substring(0, 16)}…` : null
+    ].filter(Boolean).join(' · ');
+
+    return `
+      <tr class="detail-row" data-detail="body" style="display: none;">
+        <td colspan="6">
+          <div class="body-meta">${this.escapeHtml(details)}</div>
+          <pre class="body-preview">${this.escapeHtml(this.formatRequestBody(request))}</pre>
+        </td>
+      </tr>
+    `;
+  }
+
+  formatRequestBody(request) {
+    if (request.request_body_type === 'json' || request.request_body_type === 'form') {
+      try {
+        return JSON.stringify(JSON.parse(request.request_body), null, 2);
+      } catch {
+        return request.request_body;
+      }
+    }
+    if (request.request_body_type === 'binary') {
+      return `[base64] ${request.request_body}`;
+    }
+    return request.request_body;
+  }
+
+  // Request inspector: everything stored about one request, plus copy-as-cURL/fetch
+  openInspector(request) {
+    if (!request) return;
+    this.inspectedRequest = request;
+
+    const requestHeaders = this.parseHeaderList(request.request_headers);
+    const responseHeaders = this.parseHeaderList(request.response_headers);
+    const cookies = this.parseCookieHeader(request.cookie || this.getHeaderValue(requestHeaders, 'cookie'));
+    const setCookies = responseHeaders
+      .filter(header => header.name.toLowerCase() === 'set-cookie')
+      .flatMap(header => header.value.split('\n'))
+      .map(value => this.parseSetCookie(value));
+    let queryParams = [];
+    try {
+      queryParams = Array.from(new URL(request.url).searchParams, ([name, value]) => ({ name, value }));
+    } catch {
+      queryParams = [];
+    }
+
+    document.getElementById('inspectorTitle').innerHTML = `
+      <span style="color: ${this.getMethodColor(request.method)};">${this.escapeHtml(request.method)}</span>
+      <span style="color: ${request.error ? '#f44336' : this.getStatusColor(request.response_code)};">${this.escapeHtml(request.error || request.response_code)}</span>
+      <span title="${this.escapeHtml(request.url)}">${this.escapeHtml(this.truncateUrl(request.url, 60))}</span>
+    `;
+
+    const sections = [
+      this.renderInspectorSection('General', this.renderKeyValueTable(this.getGeneralFields(request))),
+      this.renderInspectorSection('Timing', this.renderTiming(request)),
+      queryParams.length > 0 ? this.renderInspectorSection(`Query String (${queryParams.length})`, this.renderKeyValueTable(queryParams)) : '',
+      this.renderInspectorSection(`Request Headers (${requestHeaders.length})`, this.renderKeyValueTable(requestHeaders, 'No request headers captured')),
+      this.renderInspectorSection(`Response Headers (${responseHeaders.length})`, this.renderKeyValueTable(responseHeaders, 'No response headers captured')),
+      cookies.length > 0 ? this.renderInspectorSection(`Request Cookies (${cookies.length})`, this.renderKeyValueTable(cookies)) : '',
+      setCookies.length > 0 ? this.renderInspectorSection(`Response Cookies (${setCookies.length})`, this.renderKeyValueTable(setCookies.map(cookie => ({
+        name: cookie.name,
+        value: cookie.value,
+        note: [cookie.domain && `Domain=${cookie.domain}`, cookie.path && `Path=${cookie.path}`, cookie.expires && `Expires=${cookie.expires}`,
+          cookie.httpOnly && 'HttpOnly', cookie.secure && 'Secure', cookie.sameSite && `SameSite=${cookie.sameSite}`].filter(Boolean).join('; ')
+      })))) : '',
+      request.request_body !== undefined && request.request_body !== null
+        ? this.renderInspectorSection('Request Body', `<pre class="body-preview">${this.escapeHtml(this.formatRequestBody(request))}</pre>`)
+        : '',
+      request.response_preview
+        ? this.renderInspectorSection('Response Preview', `<pre class="body-preview">${this.escapeHtml(request.response_preview)}</pre>`)
+        : ''
+    ];
+    document.getElementById('inspectorBody').innerHTML = sections.join('');
+    document.getElementById('copyStatus').textContent = '';
+    document.getElementById('requestInspector').style.display = 'flex';
+
+    document.querySelectorAll('#requestsTableBody tr.request-row').forEach(row => {
+      row.classList.toggle('selected', this.tableRequests[row.dataset.index] === request);
+    });
+  }
+
+  closeInspector() {
+    this.inspectedRequest = null;
+    document.getElementById('requestInspector').style.display = 'none';
+    document.querySelectorAll('#requestsTableBody tr.selected').forEach(row => row.classList.remove('selected'));
+  }
+
+  getGeneralFields(request) {
+    const port = request.port ? `:${request.port}` : '';
+    return [
+      ['URL', request.url],
+      ['Time', request.timestamp ? new Date(request.timestamp).toLocaleString() : null],
+      ['Status', request.response_message || request.response_code],
+      ['Error', request.error ? `${request.error} (${request.error_category || 'other'})` : null],
+      ['Remote address', request.ip ? `${request.ip}${port}` : null],
+      ['Protocol', request.protocol],
+      ['Resource type', request.resource_type],
+      ['Initiator', request.initiator],
+      ['Tab / frame', request.tab_id >= 0 ? `Tab ${request.tab_id}${typeof request.frame_id === 'number' ? `, frame ${request.frame_id}` : ''}` : null],
+      ['From cache', typeof request.from_cache === 'boolean' ? (request.from_cache ? 'Yes' : 'No') : null],
+      ['Server', request.server],
+      ['Content type', request.content_type],
+      ['Content length', typeof request.content_length === 'number' ? this.formatBytes(request.content_length) : null],
+      ['Location', request.location],
+      ['Redirects', request.redirect_count || null],
+      ['Checksum', request.response_checksum],
+      ['Request body hash', request.request_body_hash]
+    ].filter(([, value]) => value !== null && value !== undefined && value !== '')
+      .map(([name, value]) => ({ name, value: String(value) }));
+  }
+
+  renderInspectorSection(title, content) {
+    return `
+      <div class="inspector-section">
+        <div class="inspector-section-title">${this.escapeHtml(title)}</div>
+        ${content}
+      </div>
+    `;
+  }
+
+  renderKeyValueTable(rows, emptyText = 'None') {
+    if (rows.length === 0) {
+      return `<div class="body-meta">${this.escapeHtml(emptyText)}</div>`;
+    }
+
+    return `
+      <table class="kv-table">
+        ${rows.map(row => `
+          <tr>
+            <th>${this.escapeHtml(row.name)}</th>
+            <td>${this.escapeHtml(row.value)}${row.note ? `<div class="body-meta">${this.escapeHtml(row.note)}</div>` : ''}</td>
+          </tr>
+        `).join('')}
+      </table>
+    `;
+  }
+
+  renderTiming(request) {
+    const phases = [
+      ['Queue', request.timing_queue, '#9e9e9e'],
+      ['Send', request.timing_send, '#2196f3'],
+      ['Waiting (TTFB)', request.timing_ttfb, '#4caf50'],
+      ['Download', request.timing_download, '#ff9800']
+    ].filter(([, value]) => typeof value === 'number');
+    const total = typeof request.response_time === 'number'
+      ? request.response_time
+      : phases.reduce((sum, [, value]) => sum + value, 0);
+
+    if (phases.length === 0 && !total) {
+      return '<div class="body-meta">No timing captured</div>';
+    }
+
+    // Each phase is drawn where it starts, like a waterfall
+    let offset = 0;
+    const bars = phases.map(([label, value, color]) => {
+      const left = total ? (offset / total) * 100 : 0;
+      const width = total ? Math.max((value / total) * 100, 0.5) : 0;
+      offset += value;
+      return `
+        <div class="timing-row">
+          <div class="timing-label">${label}</div>
+          <div class="timing-track"><div class="timing-bar" style="left: ${left}%; width: ${width}%; background: ${color};"></div></div>
+          <div class="timing-value">${this.formatDuration(value)}</div>
+        </div>
+      `;
+    }).join('');
+
+    return `${bars}
+      <div class="timing-row">
+        <div class="timing-label"><strong>Total</strong></div>
+        <div class="timing-track"></div>
+        <div class="timing-value"><strong>${this.formatDuration(total)}</strong></div>
+      </div>
+    `;
+  }
+
+  async copyRequest(format) {
+    const request = this.inspectedRequest;
+    if (!request) return;
+
+    const status = document.getElementById('copyStatus');
+    try {
+      await navigator.clipboard.writeText(format === 'curl' ? this.buildCurlCommand(request) : this.buildFetchCall(request));
+      status.textContent = request.request_body_truncated
+        ? 'Copied without the request body: it was truncated when captured'
+        : 'Copied';
+    } catch (error) {
+      console.error('Error copying request:', error);
+      status.textContent = 'Copy failed';
+    }
+  }
+
+  buildCurlCommand(request) {
+    const quote = value => `'${String(value).replace(/'/g, `'\\''`)}'`;
+    const parts = [`curl ${quote(request.url)}`];
+    if (request.method && request.method !== 'GET') {
+      parts.push(`-X ${request.method}`);
+    }
+
+    const headers = this.getReplayHeaders(request).filter(header => !CURL_SKIPPED_HEADERS.includes(header.name.toLowerCase()));
+    headers.forEach(header => parts.push(`-H ${quote(`${header.name}: ${header.value}`)}`));
+
+    // --form-string, unlike -F, never reads a value starting with @ or < as a file
+    const body = this.getReplayBody(request);
+    if (body && body.fields) {
+      body.fields.forEach(([name, value]) => parts.push(`--form-string ${quote(`${name}=${value}`)}`));
+    } else if (body) {
+      parts.push(`--data-raw ${quote(body.text)}`);
+    }
+    return parts.join(' \\\n  ');
+  }
+
+  buildFetchCall(request) {
+    const headers = {};
+    this.getReplayHeaders(request)
+      .filter(header => !FETCH_FORBIDDEN_HEADERS.includes(header.name.toLowerCase()))
+      .forEach(header => {
+        headers[header.name] = header.value;
+      });
+
+    const referrer = request.referer || this.getHeaderValue(this.parseHeaderList(request.request_headers), 'referer');
+    const body = this.getReplayBody(request);
+    const options = {
+      method: request.method || 'GET',
+      headers,
+      ...(referrer ? { referrer } : {}),
+      ...(body && !body.fields ? { body: body.text } : {}),
+      credentials: 'include'
+    };
+
+    if (body && body.fields) {
+      const append = body.fields.map(([name, value]) => `body.append(${JSON.stringify(name)}, ${JSON.stringify(value)});`);
+      return [
+        'const body = new FormData();',
+        ...append,
+        `fetch(${JSON.stringify(request.url)}, { ...${JSON.stringify(options, null, 2)}, body });`
+      ].join('\n');
+    }
+    return `fetch(${JSON.stringify(request.url)}, ${JSON.stringify(options, null, 2)});`;
+  }
+
+  // HTTP/2 pseudo-headers are not real headers and are never replayed. A multipart body is rebuilt
+  // with a new boundary, so its Content-Type is left to curl or fetch
+  getReplayHeaders(request) {
+    const multipart = this.isMultipartBody(request);
+    const headers = this.parseHeaderList(request.request_headers).filter(header =>
+      !header.name.startsWith(':') && !(multipart && header.name.toLowerCase() === 'content-type')
+    );
+    if (request.cookie && !this.getHeaderValue(headers, 'cookie')) {
+      headers.push({ name: 'Cookie', value: request.cookie });
+    }
+    return headers;
+  }
+
+  // { text } to send as is, or { fields } of a multipart form. Form bodies are stored as
+  // { name: [values] }; binary and truncated bodies cannot be replayed faithfully and are left out
+  getReplayBody(request) {
+    if (request.request_body === undefined || request.request_body === null ||
+        request.request_body_type === 'binary' || request.request_body_truncated) {
+      return null;
+    }
+    if (request.request_body_type !== 'form') {
+      return { text: request.request_body };
+    }
+
+    let fields;
+    try {
+      fields = Object.entries(JSON.parse(request.request_body))
+        .flatMap(([name, values]) => [].concat(values).map(value => [name, String(value)]));
+    } catch {
+      return { text: request.request_body };
+    }
+    if (this.isMultipartBody(request)) {
+      return { fields };
+    }
+    return { text: fields.map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`).join('&') };
+  }
+
+  isMultipartBody(request) {
+    if (request.request_body_type !== 'form') return false;
+    const contentType = this.getHeaderValue(this.parseHeaderList(request.request_headers), 'content-type');
+    return contentType.toLowerCase().startsWith('multipart/form-data');
+  }
+
+  parseHeaderList(headers) {
+    try {
+      const list = typeof headers === 'string' ? JSON.parse(headers || '[]') : headers;
+      return (list || [])
+        .filter(header => header && header.name)
+        .map(header => ({ name: header.name, value: String(header.value || '') }));
+    } catch {
+      return [];
+    }
+  }
+
+  getHeaderValue(headers, name) {
+    const header = headers.find(item => item.name.toLowerCase() === name);
+    return header ? header.value : '';
+  }
+
+  parseCookieHeader(cookieHeader) {
+    if (!cookieHeader) return [];
+    return cookieHeader.split(';')
+      .map(pair => pair.trim())
+      .filter(Boolean)
+      .map(pair => {
+        const separator = pair.indexOf('=');
+        return separator < 0
+          ? { name: pair, value: '' }
+          : { name: pair.substring(0, separator), value: pair.substring(separator + 1) };
+      });
+  }
+
+  parseSetCookie(setCookie) {
+    const [pair, ...attributes] = setCookie.split(';').map(part => part.trim());
+    const cookie = this.parseCookieHeader(pair)[0] || { name: '', value: '' };
+
+    attributes.forEach(attribute => {
+      const separator = attribute.indexOf('=');
+      const key = (separator < 0 ? attribute : attribute.substring(0, separator)).toLowerCase();
+      const value = separator < 0 ? '' : attribute.substring(separator + 1);
+
+      if (key === 'path') cookie.path = value;
+      if (key === 'domain') cookie.domain = value;
+      if (key === 'expires') cookie.expires = value;
+      if (key === 'httponly') cookie.httpOnly = true;
+      if (key === 'secure') cookie.secure = true;
+      if (key === 'samesite') cookie.sameSite = value;
+    });
+
+    return cookie;
+  }
+
+  parseRedirectChain(redirectChain) {
+    try {
+      return typeof redirectChain === 'string' ? JSON.parse(redirectChain || '[]') : (redirectChain || []);
+    } catch {
+      return [];
+    }
+  }
+
+  escapeHtml(value) {
+    return String(value == null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
   }
 
   getStatusColor(code) {
@@ -314,6 +1409,13 @@ class AnalyticsPage {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   }
 
+  formatDuration(ms) {
+    if (!ms) return '0 ms';
+    if (ms < 10) return `${ms.toFixed(1)} ms`;
+    if (ms < 1000) return `${Math.round(ms)} ms`;
+    return `${(ms / 1000).toFixed(2)} s`;
+  }
+
   showLoading(show) {
     document.getElementById('loading').style.display = show ? 'block' : 'none';
   }
@@ -323,7 +1425,7 @@ class AnalyticsPage {
     if (customMessage) {
       errorElement.innerHTML = `
         <h3>Error Loading Data</h3>
-        <p>${customMessage}</p>
+        <p>${this.escapeHtml(customMessage)}</p>
         <button class="refresh-btn" onclick="loadAnalytics()">Retry</button>
       `;
     }
@@ -359,25 +1461,6 @@ class AnalyticsPage {
     }
   }
 
-  loadFromLocalStorage() {
-    try {
-      const data = localStorage.getItem('browserActivityData');
-      return data ? JSON.parse(data) : [];
-    } catch (error) {
-      console.warn('Error loading data from localStorage:', error);
-      return [];
-    }
-  }
-
-  saveToLocalStorage(data) {
-    try {
-      localStorage.setItem('browserActivityData', JSON.stringify(data));
-      console.log('Data saved to localStorage');
-    } catch (error) {
-      console.warn('Error saving data to localStorage:', error);
-    }
-  }
-
   async sendMessageWithRetry(message, maxRetries = 3) {
     let lastError = null;
     
@@ -1,92 +1,485 @@
 // Background script for monitoring network requests
+importScripts('sqlite-writer.js', 'zip-writer.js', 'redactor.js', 'record-cipher.js', 'capture-rules.js');
+
+// Column layout of the network_requests table in SQLite exports
+const SQLITE_COLUMNS = [
+  { name: 'id', type: 'INTEGER', primaryKey: true },
+  { name: 'timestamp', type: 'TEXT' },
+  { name: 'method', type: 'TEXT' },
+  { name: 'protocol', type: 'TEXT' },
+  { name: 'port', type: 'INTEGER' },
+  { name: 'url', type: 'TEXT' },
+  { name: 'filename', type: 'TEXT' },
+  { name: 'domain', type: 'TEXT' },
+  { name: 'user_agent', type: 'TEXT' },
+  { name: 'referer', type: 'TEXT' },
+  { name: 'origin', type: 'TEXT' },
+  { name: 'cookie', type: 'TEXT' },
+  { name: 'vary', type: 'TEXT' },
+  { name: 'x_forwarded_for', type: 'TEXT' },
+  { name: 'content_type', type: 'TEXT' },
+  { name: 'response_code', type: 'INTEGER' },
+  { name: 'response_message', type: 'TEXT' },
+  { name: 'date', type: 'TEXT' },
+  { name: 'server', type: 'TEXT' },
+  { name: 'content_length', type: 'INTEGER' },
+  { name: 'location', type: 'TEXT' },
+  { name: 'response_preview', type: 'TEXT' },
+  { name: 'response_checksum', type: 'TEXT' },
+  { name: 'tab_id', type: 'INTEGER' },
+  { name: 'window_id', type: 'INTEGER' },
+  { name: 'request_headers', type: 'TEXT' },
+  { name: 'response_headers', type: 'TEXT' },
+  { name: 'timing_queue', type: 'REAL' },
+  { name: 'timing_send', type: 'REAL' },
+  { name: 'timing_ttfb', type: 'REAL' },
+  { name: 'timing_download', type: 'REAL' },
+  { name: 'response_time', type: 'REAL' },
+  { name: 'error', type: 'TEXT' },
+  { name: 'error_category', type: 'TEXT' },
+  { name: 'redirect_count', type: 'INTEGER' },
+  { name: 'redirect_chain', type: 'TEXT' },
+  { name: 'request_body', type: 'TEXT' },
+  { name: 'request_body_type', type: 'TEXT' },
+  { name: 'request_body_size', type: 'INTEGER' },
+  { name: 'request_body_hash', type: 'TEXT' },
+  { name: 'request_body_truncated', type: 'INTEGER' },
+  { name: 'request_body_files', type: 'TEXT' },
+  { name: 'resource_type', type: 'TEXT' },
+  { name: 'initiator', type: 'TEXT' },
+  { name: 'frame_id', type: 'INTEGER' },
+  { name: 'parent_frame_id', type: 'INTEGER' },
+  { name: 'ip', type: 'TEXT' },
+  { name: 'from_cache', type: 'INTEGER' },
+  { name: 'page_session_id', type: 'INTEGER' } // Page load the request belongs to, see page_sessions
+];
+
+// Stores for events reported by content.js, with their column layout in SQLite/CSV exports.
+// Every record is linked to the tab and page URL it came from.
+const ACTIVITY_COLUMNS = [
+  { name: 'id', type: 'INTEGER', primaryKey: true },
+  { name: 'timestamp', type: 'TEXT' },
+  { name: 'tab_id', type: 'INTEGER' },
+  { name: 'window_id', type: 'INTEGER' },
+  { name: 'url', type: 'TEXT' },
+  { name: 'domain', type: 'TEXT' }
+];
+
+const ACTIVITY_STORES = {
+  page_views: [
+    ...ACTIVITY_COLUMNS,
+    { name: 'title', type: 'TEXT' },
+    { name: 'referrer', type: 'TEXT' },
+    { name: 'user_agent', type: 'TEXT' },
+    { name: 'language', type: 'TEXT' },
+    { name: 'platform', type: 'TEXT' },
+    { name: 'viewport_width', type: 'INTEGER' },
+    { name: 'viewport_height', type: 'INTEGER' },
+    { name: 'screen_width', type: 'INTEGER' },
+    { name: 'screen_height', type: 'INTEGER' },
+    { name: 'cookie_enabled', type: 'INTEGER' },
+    { name: 'online', type: 'INTEGER' }
+  ],
+  form_submissions: [
+    ...ACTIVITY_COLUMNS,
+    { name: 'form_action', type: 'TEXT' },
+    { name: 'form_method', type: 'TEXT' },
+    { name: 'form_id', type: 'TEXT' },
+    { name: 'form_class', type: 'TEXT' },
+    { name: 'form_name', type: 'TEXT' },
+    { name: 'fields', type: 'TEXT' }
+  ],
+  interactions: [
+    ...ACTIVITY_COLUMNS,
+    { name: 'type', type: 'TEXT' },
+    { name: 'target_tag', type: 'TEXT' },
+    { name: 'target_id', type: 'TEXT' },
+    { name: 'target_class', type: 'TEXT' },
+    { name: 'target_text', type: 'TEXT' },
+    { name: 'target_href', type: 'TEXT' },
+    { name: 'x', type: 'INTEGER' },
+    { name: 'y', type: 'INTEGER' },
+    { name: 'modifiers', type: 'TEXT' } // Key values are never stored, only which modifiers were held
+  ],
+  console_messages: [
+    ...ACTIVITY_COLUMNS,
+    { name: 'level', type: 'TEXT' },
+    { name: 'message', type: 'TEXT' }
+  ],
+  visibility_events: [
+    ...ACTIVITY_COLUMNS,
+    { name: 'event', type: 'TEXT' } // hidden, visible or unload
+  ],
+  // One record per top-level page load, written by the background rather than content.js
+  page_sessions: [
+    ...ACTIVITY_COLUMNS,
+    { name: 'document_id', type: 'TEXT' },
+    { name: 'title', type: 'TEXT' },
+    { name: 'transition_type', type: 'TEXT' },
+    { name: 'started_at', type: 'TEXT' },
+    { name: 'committed_at', type: 'TEXT' },
+    { name: 'completed_at', type: 'TEXT' },
+    { name: 'dom_content_loaded', type: 'REAL' }, // ms from navigation start
+    { name: 'load_duration', type: 'REAL' }, // ms from navigation start to the load event
+    { name: 'error', type: 'TEXT' }
+  ]
+};
+
+// User-configurable capture settings, persisted under the 'settings' storage key
+const DEFAULT_SETTINGS = {
+  requestBodyMaxBytes: 64 * 1024, // Request payloads beyond this size are truncated
+  responseBodyMaxBytes: 1024 * 1024, // Larger responses are not read for preview/checksum
+  responseBodyContentTypes: ['javascript', 'json', 'css', 'html'], // Substrings matched against Content-Type
+  retentionMaxAgeDays: 30, // Records older than this are pruned (0 = keep forever)
+  retentionMaxRecords: 250000, // Newest records kept (0 = no limit)
+  retentionMaxBytes: 500 * 1024 * 1024, // Estimated size of the newest records kept (0 = no limit)
+  retentionDomainOverrides: {}, // domain -> { maxAgeDays, maxRecords }, replacing the global age for that domain
+  redactionRules: [ // Applied to every record before it is stored, see redactor.js
+    { type: 'header', match: 'authorization', action: 'mask' },
+    { type: 'header', match: 'proxy-authorization', action: 'mask' },
+    { type: 'header', match: 'cookie', action: 'hash' },
+    { type: 'header', match: 'set-cookie', action: 'hash' },
+    { type: 'query', match: 'token', action: 'mask' },
+    { type: 'query', match: 'access_token', action: 'mask' },
+    { type: 'query', match: 'api_key', action: 'mask' },
+    { type: 'query', match: 'key', action: 'mask' },
+    { type: 'query', match: 'session', action: 'mask' },
+    { type: 'query', match: 'sessionid', action: 'mask' },
+    { type: 'query', match: 'password', action: 'mask' },
+    { type: 'field', match: 'password', action: 'drop' }
+  ],
+  captureMode: 'denylist', // 'denylist' records everything but captureDenyRules, 'allowlist' only captureAllowRules
+  captureAllowRules: [], // See capture-rules.js for the rule format
+  captureDenyRules: [],
+  captureResourceTypes: [], // webRequest resource types to record (empty = all), e.g. skip image and font
+  recordChildTabs: true, // Tabs opened from an armed tab (openerTabId) are armed too
+  recordIncognito: false // Incognito tabs are only recorded after an explicit opt-in
+};
+
+const DB_NAME = 'BrowserActivityDB';
+const DB_VERSION = 7; // Bump together with a new step in getMigrations()
+
+const PRUNE_ALARM = 'pruneRecords';
+const PRUNE_INTERVAL_MINUTES = 60;
+const EVICT_ALARM = 'evictStaleRequests';
+const EVICT_INTERVAL_MINUTES = 1;
+
+const PENDING_REQUEST_TTL = 5 * 60 * 1000; // In-flight requests older than this are stored as incomplete
+const WRITE_BATCH_SIZE = 50; // Queued records that trigger an immediate flush
+const WRITE_FLUSH_DELAY = 1000; // Maximum time a record waits in the write queue
+const WRITE_MAX_ATTEMPTS = 3; // Writes of a record before it is dropped (quota errors, records that cannot be stored)
+const CHECKPOINT_DELAY = 2000;
+const SESSION_SAVE_DELAY = 1000; // Coalesces the several updates a page load goes through
+const STATE_SAVE_DELAY = 2000;
+const MONITORING_EVENT_LIMIT = 200; // Start/stop/restart entries kept in the monitoring log
+const STATS_MINUTES = 60; // Per-minute request buckets kept for the requests/minute rate
+const STATS_RATE_WINDOW = 5; // Minutes averaged for the requests/minute rate
+const STATS_TOP_DOMAINS = 10;
+const STATS_MAX_DOMAINS = 200; // Domains with per-domain counters; the least active one is evicted past this
+const STATS_PUSH_DELAY = 1000; // Minimum interval between stats pushes to open popups
+const QUERY_DEFAULT_LIMIT = 100;
+const QUERY_MAX_LIMIT = 1000;
+const QUERY_CHUNK_SIZE = 500; // Records read per transaction; decryption happens between chunks
+const QUERY_SORT_FIELDS = ['timestamp', 'domain', 'method', 'response_code', 'tab_id']; // Plaintext, indexed columns
+const QUERY_MIN_INTERVAL = 1000; // Smallest time bucket an aggregate query splits its summary into
+const LATENCY_FIELDS = ['response_time', 'timing_queue', 'timing_send', 'timing_ttfb', 'timing_download'];
+
 class BrowserActivityMonitor {
   constructor() {
     this.db = null;
-    this.isMonitoring = true; // Start monitoring by default
+    this.isMonitoring = true; // Start monitoring by default, overridden by the saved state
+    this.monitoringSession = null; // Current capture session and its counters
+    this.monitoringEvents = []; // Start/stop/restart log, so gaps in capture are visible
+    this.stateSaveTimer = null;
+    this.stats = this.createEmptyStats(); // Running counters, saved with the monitoring state
+    this.statsPorts = new Set(); // Open popups listening for stats pushes
+    this.statsPushTimer = null;
     this.disabledDomains = new Set(); // Domains to exclude from monitoring
-    this.init();
+    this.armedTabs = new Set(); // When any tab or window is armed, only those are recorded
+    this.armedWindows = new Set();
+    this.tabInfo = new Map(); // tabId -> { windowId, incognito }, for the per-request recording check
+    this.navigationSessions = new Map(); // session id -> page load still open in a tab
+    this.tabNavigation = new Map(); // tabId -> { pending, current, previous } session ids
+    this.documentSessions = new Map(); // documentId (main frame or subframe) -> session id
+    this.dirtySessions = new Set(); // Sessions changed since they were last written
+    this.sessionSaveTimer = null;
+    this.sessionSequence = 0;
+    this.settings = { ...DEFAULT_SETTINGS };
+    this.bodyCaptureTabs = new Set(); // Tabs with debugger-based response body capture, kept in storage.session
+    this.debuggerRequests = new Map(); // DevTools requestId -> { tabId, method, url, mimeType }
+    this.responseBodies = new Map(); // Body key (tab, method, url) -> [{ body, expires }] in arrival order
+    this.responseBodyWaiters = new Map(); // Body key -> [resolve] of the onCompleted calls waiting for a body
+    this.debuggerListenersReady = false;
+    this.pendingRequests = new Map(); // requestId -> request data collected so far
+    this.writeQueue = []; // Completed records waiting for the next batch write
+    this.flushingBatches = new Set(); // Batches taken off the queue whose transaction has not completed
+    this.pendingRedactions = new Set(); // Records still being redacted before they are queued
+    this.redactor = new Redactor(DEFAULT_SETTINGS.redactionRules);
+    this.captureRules = new CaptureRules();
+    this.cipher = new RecordCipher(); // Optional encryption at rest
+    this.skippedWhileLocked = 0; // Records not stored because encrypted data was locked
+    this.flushTimer = null;
+    this.flushPromise = null;
+    this.checkpointTimer = null;
+    this.storedBytes = null; // Running size estimate of network_requests; null until measured
+    this.ready = this.init(); // Listeners registered at the top level wait on this
   }
 
   async init() {
     try {
       await this.initDatabase();
+      await this.loadStats(); // Before the monitoring state, which saves the stats along with it
+      await this.loadMonitoringState();
+      await this.loadEncryption();
       await this.loadDisabledDomains();
-      this.setupEventListeners();
-      console.log('Browser Activity Monitor initialized - Monitoring enabled by default');
+      await this.loadSettings();
+      await this.loadRecordingScope();
+      await this.loadBodyCaptureTabs();
+      await this.recoverPendingRequests();
+      await this.setupRetentionAlarm();
+      await this.setupEvictionAlarm();
+      console.log(`Browser Activity Monitor initialized - Monitoring ${this.isMonitoring ? 'enabled' : 'stopped'}`);
     } catch (error) {
       console.error('Failed to initialize monitor:', error);
     }
   }
 
   async initDatabase() {
-    // Initialize IndexedDB database
+    // Initialize IndexedDB database, upgrading older installs step by step
     this.db = await this.createIndexedDB();
-    await this.createTables();
+    console.log(`Database ready at schema version ${this.db.version}`);
   }
 
   async createIndexedDB() {
     return new Promise((resolve, reject) => {
-      const request = indexedDB.open('BrowserActivityDB', 1);
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
       
       request.onerror = () => reject(request.error);
       request.onsuccess = () => resolve(request.result);
+      request.onblocked = () => console.warn('Database upgrade blocked by another open connection');
       
       request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-        if (!db.objectStoreNames.contains('network_requests')) {
-          const store = db.createObjectStore('network_requests', { keyPath: 'id', autoIncrement: true });
+        this.runMigrations(event.target.result, event.target.transaction, event.oldVersion);
+      };
+    });
+  }
+
+  // Schema migrations
+  // Each step upgrades the database from the previous version. Steps only ever get
+  // appended: installs at any older version replay every step they have not seen.
+  runMigrations(db, transaction, oldVersion) {
+    const migrations = this.getMigrations();
+
+    for (let version = oldVersion + 1; version <= DB_VERSION; version++) {
+      console.log(`Migrating database to version ${version}`);
+      migrations[version](db, transaction);
+    }
+  }
+
+  getMigrations() {
+    return {
+      1: (db) => {
+        const store = db.createObjectStore('network_requests', { keyPath: 'id', autoIncrement: true });
+        store.createIndex('timestamp', 'timestamp', { unique: false });
+        store.createIndex('url', 'url', { unique: false });
+        store.createIndex('method', 'method', { unique: false });
+      },
+      2: (db, transaction) => {
+        const store = transaction.objectStore('network_requests');
+        store.createIndex('domain', 'domain', { unique: false });
+        store.createIndex('tab_id', 'tab_id', { unique: false });
+        store.createIndex('response_code', 'response_code', { unique: false });
+        store.createIndex('domain_timestamp', ['domain', 'timestamp'], { unique: false });
+        this.backfillRecords(store, record => this.backfillDerivedFields(record));
+      },
+      3: (db) => {
+        ['page_views', 'form_submissions', 'interactions', 'console_messages', 'visibility_events'].forEach(storeName => {
+          const store = db.createObjectStore(storeName, { keyPath: 'id', autoIncrement: true });
           store.createIndex('timestamp', 'timestamp', { unique: false });
+          store.createIndex('tab_id', 'tab_id', { unique: false });
           store.createIndex('url', 'url', { unique: false });
-          store.createIndex('method', 'method', { unique: false });
+        });
+      },
+      4: (db, transaction) => {
+        const store = db.createObjectStore('page_sessions', { keyPath: 'id', autoIncrement: true });
+        store.createIndex('timestamp', 'timestamp', { unique: false });
+        store.createIndex('tab_id', 'tab_id', { unique: false });
+        store.createIndex('url', 'url', { unique: false });
+        store.createIndex('tab_document', ['tab_id', 'document_id'], { unique: false });
+        transaction.objectStore('network_requests').createIndex('page_session_id', 'page_session_id', { unique: false });
+      },
+      5: (db, transaction) => {
+        // Lets queryRequests() page through one tab in time order without scanning other tabs
+        transaction.objectStore('network_requests').createIndex('tab_timestamp', ['tab_id', 'timestamp'], { unique: false });
+      },
+      6: (db, transaction) => {
+        // Earlier versions stored the key of every keydown, including text typed into fields
+        this.backfillRecords(transaction.objectStore('interactions'), record => {
+          if (!('key' in record) && !('code' in record)) return false;
+          delete record.key;
+          delete record.code;
+          return true;
+        });
+      },
+      7: (db, transaction) => {
+        // Lets queryRequests() list the requests of one page load in time order
+        transaction.objectStore('network_requests').createIndex('session_timestamp', ['page_session_id', 'timestamp'], { unique: false });
+      }
+    };
+  }
+
+  // Rewrites every record for which update() reports a change; runs inside the upgrade transaction
+  backfillRecords(store, update) {
+    let updated = 0;
+    const request = store.openCursor();
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        if (updated > 0) {
+          console.log(`Backfilled ${updated} records`);
         }
-      };
-    });
+        return;
+      }
+
+      const record = cursor.value;
+      if (update(record)) {
+        cursor.update(record);
+        updated++;
+      }
+      cursor.continue();
+    };
   }
 
-  async createTables() {
-    // Tables are created via IndexedDB object stores
-    console.log('Database tables created');
+  // Fills in fields that older versions did not store but can be derived from what they did
+  backfillDerivedFields(record) {
+    const before = JSON.stringify(record);
+    const url = record.url || '';
+
+    if (!record.domain) record.domain = this.extractDomain(url);
+    if (!record.protocol) record.protocol = this.extractProtocol(url);
+    if (record.port === undefined || record.port === null) record.port = this.extractPort(url);
+    if (record.filename === undefined) record.filename = this.extractFilename(url);
+    if (typeof record.tab_id !== 'number') record.tab_id = -1;
+    if (typeof record.response_code !== 'number') record.response_code = parseInt(record.response_code, 10) || 0;
+    if (record.error && !record.error_category) record.error_category = this.classifyError(record.error);
+    if (record.redirect_count === undefined) record.redirect_count = this.parseRedirectChain(record.redirect_chain).length;
+
+    return JSON.stringify(record) !== before;
   }
 
+  // Called at the top level so events that wake the worker are delivered; each one is handled once init is done
   setupEventListeners() {
+    const afterInit = handler => async (...args) => {
+      await this.ready;
+      return handler(...args);
+    };
+
     // Monitor all HTTP requests
     chrome.webRequest.onBeforeRequest.addListener(
-      (details) => this.handleRequest(details),
+      afterInit((details) => this.handleRequest(details)),
       { urls: ["<all_urls>"] },
       ["requestBody"]
     );
 
+    // Lifecycle events used for the per-request timing breakdown
+    chrome.webRequest.onBeforeSendHeaders.addListener(
+      afterInit((details) => this.markRequestTiming(details, 'before_send_headers_at')),
+      { urls: ["<all_urls>"] }
+    );
+
+    // onSendHeaders carries the final request headers; extraHeaders exposes Cookie and Referer
+    chrome.webRequest.onSendHeaders.addListener(
+      afterInit((details) => this.handleSendHeaders(details)),
+      { urls: ["<all_urls>"] },
+      ["requestHeaders", "extraHeaders"]
+    );
+
     chrome.webRequest.onHeadersReceived.addListener(
-      (details) => this.handleResponse(details),
+      afterInit((details) => this.handleResponse(details)),
+      { urls: ["<all_urls>"] },
+      ["responseHeaders", "extraHeaders"]
+    );
+
+    chrome.webRequest.onBeforeRedirect.addListener(
+      afterInit((details) => this.handleRedirect(details)),
       { urls: ["<all_urls>"] },
       ["responseHeaders"]
     );
 
+    chrome.webRequest.onResponseStarted.addListener(
+      afterInit((details) => this.markRequestTiming(details, 'response_started_at')),
+      { urls: ["<all_urls>"] }
+    );
+
     chrome.webRequest.onCompleted.addListener(
-      (details) => this.handleCompleted(details),
+      afterInit((details) => this.handleCompleted(details)),
+      { urls: ["<all_urls>"] }
+    );
+
+    // Failed, blocked and aborted requests never reach onCompleted
+    chrome.webRequest.onErrorOccurred.addListener(
+      afterInit((details) => this.handleError(details)),
       { urls: ["<all_urls>"] }
     );
 
+    // Top-level navigations open the page-load sessions that requests are grouped under
+    chrome.webNavigation.onBeforeNavigate.addListener(afterInit((details) => this.handleBeforeNavigate(details)));
+    chrome.webNavigation.onCommitted.addListener(afterInit((details) => this.handleNavigationCommitted(details)));
+    chrome.webNavigation.onDOMContentLoaded.addListener(afterInit((details) => this.handleNavigationTiming(details, 'dom_content_loaded')));
+    chrome.webNavigation.onCompleted.addListener(afterInit((details) => this.handleNavigationTiming(details, 'load_duration')));
+    chrome.webNavigation.onErrorOccurred.addListener(afterInit((details) => this.handleNavigationError(details)));
+
     // Listen for tab and window events
-    chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    chrome.tabs.onUpdated.addListener(afterInit((tabId, changeInfo, tab) => {
+      if (changeInfo.status === 'loading') {
+        this.trackTab(tab);
+      }
       if (changeInfo.status === 'complete') {
         this.logTabActivity(tabId, tab);
       }
-    });
+    }));
 
-    chrome.windows.onCreated.addListener((window) => {
+    chrome.windows.onCreated.addListener(afterInit((window) => {
       this.logWindowActivity(window);
-    });
+    }));
+
+    chrome.tabs.onCreated.addListener(afterInit((tab) => {
+      this.handleTabCreated(tab);
+    }));
+
+    chrome.tabs.onAttached.addListener(afterInit((tabId, attachInfo) => {
+      const info = this.tabInfo.get(tabId);
+      if (info) info.windowId = attachInfo.newWindowId;
+      this.updateBadge(tabId);
+    }));
+
+    chrome.tabs.onRemoved.addListener(afterInit((tabId) => {
+      delete this.stats.byTab[tabId];
+      this.scheduleStatsPush();
+      this.tabInfo.delete(tabId);
+      this.closeTabNavigation(tabId);
+      if (this.armedTabs.delete(tabId)) {
+        this.saveRecordingScope();
+      }
+    }));
+
+    chrome.windows.onRemoved.addListener(afterInit((windowId) => {
+      if (this.armedWindows.delete(windowId)) {
+        this.saveRecordingScope();
+        this.updateAllBadges();
+      }
+    }));
   }
 
   async handleRequest(details) {
     if (!this.isMonitoring) return;
 
     try {
-      // Check if domain is disabled
+      // Skip unarmed tabs, disabled domains and anything the capture rules exclude
       const domain = this.extractDomain(details.url);
-      if (this.disabledDomains.has(domain)) {
-        return; // Skip monitoring for disabled domains
+      if (!this.isTabRecorded(details.tabId) || !this.shouldCapture(details.url, details.type)) {
+        return;
       }
 
       const requestData = {
@@ -97,18 +490,113 @@ class BrowserActivityMonitor {
         filename: this.extractFilename(details.url),
         domain: domain,
         tab_id: details.tabId || -1,
-        window_id: details.frameId === 0 ? await this.getWindowId(details.tabId) : null,
+        window_id: null,
+        resource_type: details.type || null,
+        initiator: details.initiator || null, // Origin of the document or worker that fired the request
+        frame_id: details.frameId,
+        parent_frame_id: details.parentFrameId,
+        page_session_id: this.getRequestSessionId(details),
         request_headers: JSON.stringify(details.requestHeaders || []),
-        timestamp: new Date().toISOString()
+        timestamp: new Date().toISOString(),
+        started_at: details.timeStamp
       };
 
-      // Store request data temporarily
-      await this.storeRequestData(details.requestId, requestData);
+      if (details.requestBody) {
+        Object.assign(requestData, await this.extractRequestBody(details.requestBody));
+      }
+
+      // Redirects re-enter onBeforeRequest with the same requestId; keep the hops recorded so far
+      const previous = this.getRequestData(details.requestId);
+      if (previous && previous.redirect_chain) {
+        requestData.redirect_chain = previous.redirect_chain;
+        requestData.timestamp = previous.timestamp;
+        requestData.request_started_at = previous.request_started_at || previous.started_at;
+      }
+
+      // Store request data temporarily, before any lookup that could let later events overtake it
+      this.storeRequestData(details.requestId, requestData);
+
+      if (details.frameId === 0) {
+        this.updateRequestData(details.requestId, { window_id: await this.getWindowId(details.tabId) });
+      }
     } catch (error) {
       console.error('Error handling request:', error);
     }
   }
 
+  async extractRequestBody(requestBody) {
+    const maxBytes = this.settings.requestBodyMaxBytes;
+
+    if (requestBody.formData) {
+      const body = JSON.stringify(requestBody.formData);
+      const bytes = new TextEncoder().encode(body);
+      const size = bytes.length;
+      return {
+        // Cut on bytes like raw bodies; stream: true drops a multi-byte character split by the limit
+        request_body: size > maxBytes ? new TextDecoder().decode(bytes.subarray(0, maxBytes), { stream: true }) : body,
+        request_body_type: 'form',
+        request_body_size: size,
+        request_body_hash: await this.calculateChecksum(body),
+        request_body_truncated: size > maxBytes
+      };
+    }
+
+    if (!requestBody.raw) {
+      return {};
+    }
+
+    // Raw bodies arrive as a list of byte chunks and file references
+    const chunks = requestBody.raw.filter(part => part.bytes).map(part => new Uint8Array(part.bytes));
+    const files = requestBody.raw.filter(part => part.file).map(part => part.file);
+    const size = chunks.reduce((total, chunk) => total + chunk.length, 0);
+    const bytes = new Uint8Array(size);
+    let offset = 0;
+    chunks.forEach(chunk => {
+      bytes.set(chunk, offset);
+      offset += chunk.length;
+    });
+
+    const truncated = size > maxBytes;
+    const captured = truncated ? bytes.subarray(0, maxBytes) : bytes;
+    const bodyData = {
+      request_body_size: size,
+      request_body_hash: await this.calculateChecksum(bytes),
+      request_body_truncated: truncated
+    };
+
+    if (files.length > 0) {
+      bodyData.request_body_files = JSON.stringify(files);
+    }
+
+    try {
+      // stream: true tolerates a multi-byte character cut off by the size limit
+      const text = new TextDecoder('utf-8', { fatal: true }).decode(captured, { stream: truncated });
+      bodyData.request_body = text;
+      bodyData.request_body_type = 'text';
+      if (!truncated) {
+        try {
+          JSON.parse(text);
+          bodyData.request_body_type = 'json';
+        } catch {
+          // Not JSON, keep as plain text
+        }
+      }
+    } catch {
+      bodyData.request_body = this.toBase64(captured);
+      bodyData.request_body_type = 'binary';
+    }
+
+    return bodyData;
+  }
+
+  toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
   async handleResponse(details) {
     if (!this.isMonitoring) return;
 
@@ -127,37 +615,90 @@ class BrowserActivityMonitor {
       };
 
       // Update stored request data with response info
-      await this.updateRequestData(details.requestId, responseData);
+      this.updateRequestData(details.requestId, responseData);
     } catch (error) {
       console.error('Error handling response:', error);
     }
   }
 
-  async handleCompleted(details) {
+  async handleSendHeaders(details) {
     if (!this.isMonitoring) return;
 
     try {
-      // Get the complete request data
-      const requestData = await this.getRequestData(details.requestId);
+      const requestHeaders = details.requestHeaders || [];
+      this.updateRequestData(details.requestId, {
+        send_headers_at: details.timeStamp,
+        user_agent: this.getHeaderValue(requestHeaders, 'user-agent'),
+        referer: this.getHeaderValue(requestHeaders, 'referer'),
+        origin: this.getHeaderValue(requestHeaders, 'origin'),
+        cookie: this.getHeaderValue(requestHeaders, 'cookie'),
+        x_forwarded_for: this.getHeaderValue(requestHeaders, 'x-forwarded-for'),
+        request_headers: JSON.stringify(requestHeaders)
+      });
+    } catch (error) {
+      console.error('Error handling request headers:', error);
+    }
+  }
+
+  async handleRedirect(details) {
+    if (!this.isMonitoring) return;
+
+    try {
+      const requestData = this.getRequestData(details.requestId);
+      if (requestData && details.redirectUrl && !this.shouldCapture(details.redirectUrl, details.type)) {
+        // handleRequest skips the redirect target, so nothing would ever complete this entry
+        this.cleanupRequestData(details.requestId);
+        return;
+      }
+
       if (requestData) {
-        // Add additional headers from the original request
-        const requestHeaders = details.requestHeaders || [];
-        const additionalHeaders = {
-          user_agent: this.getHeaderValue(requestHeaders, 'user-agent'),
-          referer: this.getHeaderValue(requestHeaders, 'referer'),
-          origin: this.getHeaderValue(requestHeaders, 'origin'),
-          cookie: this.getHeaderValue(requestHeaders, 'cookie'),
-          x_forwarded_for: this.getHeaderValue(requestHeaders, 'x-forwarded-for')
+        const hop = {
+          url: details.url,
+          status_code: details.statusCode || 0,
+          status_line: details.statusLine || '',
+          redirect_url: details.redirectUrl || '',
+          timestamp: new Date(requestData.started_at || details.timeStamp).toISOString(),
+          duration: this.calculateTimings({ started_at: requestData.started_at }, details.timeStamp).response_time, // This hop only
+          from_cache: !!details.fromCache
         };
 
-        // Merge all data
-        const completeData = { ...requestData, ...additionalHeaders };
+        this.updateRequestData(details.requestId, {
+          redirect_chain: [...(requestData.redirect_chain || []), hop]
+        });
+      }
+    } catch (error) {
+      console.error('Error handling redirect:', error);
+    }
+  }
+
+  async markRequestTiming(details, mark) {
+    if (!this.isMonitoring) return;
+
+    try {
+      this.updateRequestData(details.requestId, { [mark]: details.timeStamp });
+    } catch (error) {
+      console.error('Error recording request timing:', error);
+    }
+  }
+
+  async handleCompleted(details) {
+    if (!this.isMonitoring) return;
+
+    try {
+      // Get the complete request data
+      const requestData = this.getRequestData(details.requestId);
+      if (requestData) {
+        // Request headers were merged in by handleSendHeaders; add the timing breakdown
+        const timings = this.calculateTimings(requestData, details.timeStamp);
+        const completeData = { ...requestData, ...timings, ip: details.ip || null, from_cache: !!details.fromCache };
 
         // Get response body preview and checksum
         try {
-          const responseBody = await this.getResponseBody(details.requestId);
-          if (responseBody) {
-            completeData.response_preview = responseBody.substring(0, 16);
+          const responseBody = await this.getResponseBody(details, completeData);
+          if (responseBody !== null) {
+            completeData.response_preview = typeof responseBody === 'string'
+              ? responseBody.substring(0, 16)
+              : Array.from(responseBody.subarray(0, 8), b => b.toString(16).padStart(2, '0')).join('');
             completeData.response_checksum = await this.calculateChecksum(responseBody);
           }
         } catch (error) {
@@ -165,74 +706,237 @@ class BrowserActivityMonitor {
         }
 
         // Store in database
-        await this.storeCompleteRequest(completeData);
+        this.storeCompleteRequest(completeData);
       }
 
       // Clean up temporary data
-      await this.cleanupRequestData(details.requestId);
+      this.cleanupRequestData(details.requestId);
     } catch (error) {
       console.error('Error handling completed request:', error);
     }
   }
 
-  async storeCompleteRequest(data) {
-    return new Promise((resolve, reject) => {
-      try {
-        const transaction = this.db.transaction(['network_requests'], 'readwrite');
-        const store = transaction.objectStore('network_requests');
-        
-        const requestData = {
-          method: data.method,
-          protocol: data.protocol,
-          port: data.port,
-          url: data.url,
-          filename: data.filename,
-          domain: data.domain,
-          user_agent: data.user_agent,
-          referer: data.referer,
-          origin: data.origin,
-          cookie: data.cookie,
-          vary: data.vary,
-          x_forwarded_for: data.x_forwarded_for,
-          content_type: data.content_type,
-          response_code: data.response_code,
-          response_message: data.response_message,
-          date: data.date,
-          server: data.server,
-          content_length: data.content_length,
-          location: data.location,
-          response_preview: data.response_preview,
-          response_checksum: data.response_checksum,
-          tab_id: data.tab_id,
-          window_id: data.window_id,
-          request_headers: data.request_headers,
-          response_headers: data.response_headers,
-          timestamp: data.timestamp
+  async handleError(details) {
+    try {
+      const requestData = this.getRequestData(details.requestId);
+      if (requestData && this.isMonitoring) {
+        const error = details.error || 'unknown';
+        const failedData = {
+          ...requestData,
+          ...this.calculateTimings(requestData, details.timeStamp),
+          ip: details.ip || null,
+          from_cache: !!details.fromCache,
+          response_code: requestData.response_code || 0,
+          error: error,
+          error_category: this.classifyError(error)
         };
 
-        const request = store.add(requestData);
-        
-        request.onsuccess = () => {
-          console.log('Request stored successfully:', requestData.url);
-          // Also save to localStorage as backup
-          this.saveToLocalStorageBackup(requestData);
-          resolve(request.result);
-        };
-        
-        request.onerror = () => {
-          console.error('Error storing request:', request.error);
-          reject(request.error);
+        this.storeCompleteRequest(failedData);
+      }
+
+      // Always release the temporary entry, even if monitoring was stopped mid-request
+      this.cleanupRequestData(details.requestId);
+    } catch (error) {
+      console.error('Error handling failed request:', error);
+    }
+  }
+
+  classifyError(error) {
+    if (/ERR_BLOCKED_BY_/.test(error)) return 'blocked';
+    if (/ERR_ABORTED/.test(error)) return 'aborted';
+    if (/ERR_NAME_NOT_RESOLVED|ERR_NAME_RESOLUTION_FAILED|ERR_DNS_/.test(error)) return 'dns';
+    if (/ERR_CERT_|ERR_SSL_/.test(error)) return 'tls';
+    if (/TIMED_OUT/.test(error)) return 'timeout';
+    if (/ERR_CONNECTION_|ERR_ADDRESS_|ERR_INTERNET_DISCONNECTED|ERR_NETWORK_CHANGED/.test(error)) return 'connection';
+    return 'other';
+  }
+
+  storeCompleteRequest(data) {
+    if (this.skipWhileLocked()) return;
+
+    const requestData = {
+      method: data.method,
+      protocol: data.protocol,
+      port: data.port,
+      url: data.url,
+      filename: data.filename,
+      domain: data.domain,
+      user_agent: data.user_agent,
+      referer: data.referer,
+      origin: data.origin,
+      cookie: data.cookie,
+      vary: data.vary,
+      x_forwarded_for: data.x_forwarded_for,
+      content_type: data.content_type,
+      response_code: data.response_code,
+      response_message: data.response_message,
+      date: data.date,
+      server: data.server,
+      content_length: data.content_length,
+      location: data.location,
+      response_preview: data.response_preview,
+      response_checksum: data.response_checksum,
+      tab_id: data.tab_id,
+      window_id: data.window_id,
+      request_headers: data.request_headers,
+      response_headers: data.response_headers,
+      timing_queue: data.timing_queue,
+      timing_send: data.timing_send,
+      timing_ttfb: data.timing_ttfb,
+      timing_download: data.timing_download,
+      response_time: data.response_time,
+      error: data.error,
+      error_category: data.error_category,
+      redirect_count: (data.redirect_chain || []).length,
+      redirect_chain: JSON.stringify(data.redirect_chain || []),
+      request_body: data.request_body,
+      request_body_type: data.request_body_type,
+      request_body_size: data.request_body_size,
+      request_body_hash: data.request_body_hash,
+      request_body_truncated: data.request_body_truncated,
+      request_body_files: data.request_body_files,
+      resource_type: data.resource_type,
+      initiator: data.initiator,
+      frame_id: data.frame_id,
+      parent_frame_id: data.parent_frame_id,
+      ip: data.ip,
+      from_cache: data.from_cache,
+      page_session_id: data.page_session_id,
+      timestamp: data.timestamp
+    };
+
+    this.recordSessionActivity(requestData);
+    this.recordStats(requestData);
+    this.queueRedacted('network_requests', requestData);
+  }
+
+  queueRedacted(storeName, record) {
+    // Fail closed: a record that could not be redacted or encrypted is not stored at all
+    const redaction = this.redactor.redactRecord(record)
+      .then(redacted => this.cipher.encryptRecord(storeName, redacted))
+      .catch(error => {
+        console.error('Error sealing record, discarding it:', error);
+        return null;
+      })
+      .then(redacted => {
+        this.pendingRedactions.delete(redaction);
+        if (redacted) {
+          this.queueRecord(storeName, redacted);
+        }
+      });
+    this.pendingRedactions.add(redaction);
+  }
+
+  // Waits for records still being redacted, then writes everything queued
+  async settleWrites() {
+    await Promise.all(Array.from(this.pendingRedactions));
+    return this.flushWriteQueue();
+  }
+
+  queueRecord(storeName, record) {
+    this.writeQueue.push({ store: storeName, record });
+    if (this.writeQueue.length >= WRITE_BATCH_SIZE) {
+      this.flushWriteQueue();
+    } else {
+      this.scheduleFlush();
+    }
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => this.flushWriteQueue(), WRITE_FLUSH_DELAY);
+    this.scheduleCheckpoint();
+  }
+
+  // Write all queued records in a single IndexedDB transaction; records from a batch that was
+  // aborted are retried one per transaction, so a record that can never be written only fails itself
+  async flushWriteQueue() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    if (this.writeQueue.length === 0 || !this.db) {
+      return this.flushPromise;
+    }
+
+    const entries = this.writeQueue.splice(0, this.writeQueue.length);
+    const fresh = entries.filter(entry => !entry.attempts);
+    const batches = entries.filter(entry => entry.attempts).map(entry => [entry]);
+    if (fresh.length > 0) batches.push(fresh);
+
+    batches.forEach(batch => {
+      this.flushingBatches.add(batch);
+      const previousFlush = this.flushPromise || Promise.resolve();
+      this.flushPromise = previousFlush.then(() => this.writeBatch(batch));
+    });
+    return this.flushPromise;
+  }
+
+  writeBatch(batch) {
+    return new Promise((resolve) => {
+      try {
+        const storeNames = [...new Set(batch.map(entry => entry.store))];
+        const transaction = this.db.transaction(storeNames, 'readwrite');
+        batch.forEach(({ store, record }) => {
+          try {
+            transaction.objectStore(store).put(record); // put: page sessions are rewritten as they progress
+          } catch (error) {
+            // A record that cannot be cloned must not block the rest of the batch
+            console.error(`Error storing ${store} record:`, record.url, error);
+          }
+        });
+
+        transaction.oncomplete = () => {
+          // Drop the batch from the checkpoint right away: recovering it after a restart would store it twice
+          this.flushingBatches.delete(batch);
+          chrome.storage.session.set({ queuedRequests: this.getQueuedRecords() }).catch(error => {
+            console.warn('Error checkpointing queued requests:', error);
+          });
+          if (this.storedBytes !== null) {
+            batch.forEach(({ store, record }) => {
+              if (store === 'network_requests') this.storedBytes += this.estimateRecordSize(record);
+            });
+            this.scheduleStateSave();
+          }
+          this.scheduleCheckpoint();
+          resolve();
         };
-        
+
         transaction.onerror = () => {
           console.error('Transaction error:', transaction.error);
-          reject(transaction.error);
+          resolve();
+        };
+
+        transaction.onabort = () => {
+          console.error('Batch write aborted:', transaction.error);
+          this.retryBatch(batch);
+          resolve();
         };
       } catch (error) {
-        console.error('Error in storeCompleteRequest:', error);
-        reject(error);
+        console.error('Error in flushWriteQueue:', error);
+        this.retryBatch(batch);
+        resolve();
+      }
+    });
+  }
+
+  // Puts a failed batch back at the head of the queue; records that failed WRITE_MAX_ATTEMPTS times are dropped
+  retryBatch(batch) {
+    this.flushingBatches.delete(batch);
+    const retries = [];
+    batch.forEach(entry => {
+      entry.attempts = (entry.attempts || 0) + 1;
+      if (entry.attempts < WRITE_MAX_ATTEMPTS) {
+        retries.push(entry);
+      } else {
+        console.error(`Dropping ${entry.store} record after ${entry.attempts} failed writes:`, entry.record.url);
       }
     });
+    this.writeQueue.unshift(...retries);
+    if (retries.length > 0) {
+      this.scheduleFlush();
+    } else {
+      this.scheduleCheckpoint();
+    }
   }
 
   // Helper methods
@@ -287,40 +991,185 @@ class BrowserActivityMonitor {
     }
   }
 
-  async getResponseBody(requestId) {
-    // This is a simplified version - in reality, getting response body
-    // requires additional permissions and handling
-    return null;
+  // Bodies are only available for tabs opted in to debugger capture, and only for
+  // configured content types and sizes; returns a string, bytes, or null
+  async getResponseBody(details, requestData) {
+    if (!this.bodyCaptureTabs.has(details.tabId) || !this.shouldCaptureResponseBody(requestData.content_type, requestData.content_length)) {
+      return null;
+    }
+
+    // DevTools and webRequest number requests differently; both see the same tab, method and final url
+    const key = this.getResponseBodyKey(details.tabId, details.method, details.url);
+    const queued = this.responseBodies.get(key);
+    if (queued) {
+      const entry = queued.shift();
+      if (queued.length === 0) this.responseBodies.delete(key);
+      return entry.body;
+    }
+
+    // Network.loadingFinished can arrive after webRequest.onCompleted
+    return new Promise(resolve => {
+      const waiters = this.responseBodyWaiters.get(key) || [];
+      const waiter = (body) => {
+        clearTimeout(timer);
+        resolve(body);
+      };
+      const timer = setTimeout(() => {
+        const remaining = (this.responseBodyWaiters.get(key) || []).filter(other => other !== waiter);
+        if (remaining.length > 0) {
+          this.responseBodyWaiters.set(key, remaining);
+        } else {
+          this.responseBodyWaiters.delete(key);
+        }
+        resolve(null);
+      }, 3000);
+      waiters.push(waiter);
+      this.responseBodyWaiters.set(key, waiters);
+    });
+  }
+
+  getResponseBodyKey(tabId, method, url) {
+    return `${tabId} ${(method || 'GET').toUpperCase()} ${url}`;
+  }
+
+  shouldCaptureResponseBody(contentType, size) {
+    const type = (contentType || '').toLowerCase();
+    if (!type || (size || 0) > this.settings.responseBodyMaxBytes) {
+      return false;
+    }
+    return this.settings.responseBodyContentTypes.some(pattern => pattern && type.includes(pattern.toLowerCase()));
+  }
+
+  // Timing breakdown in milliseconds from the webRequest event timestamps. The phases belong to the
+  // final hop (started_at); response_time runs from the first hop of a redirected request
+  calculateTimings(marks, completedAt) {
+    const span = (from, to) => {
+      if (typeof from !== 'number' || typeof to !== 'number' || to < from) return null;
+      return Math.round((to - from) * 1000) / 1000;
+    };
+
+    return {
+      timing_queue: span(marks.started_at, marks.before_send_headers_at),
+      timing_send: span(marks.before_send_headers_at, marks.send_headers_at),
+      timing_ttfb: span(marks.send_headers_at, marks.response_started_at),
+      timing_download: span(marks.response_started_at, completedAt),
+      response_time: span(marks.request_started_at || marks.started_at, completedAt)
+    };
   }
 
   async calculateChecksum(data) {
     const encoder = new TextEncoder();
-    const dataBuffer = encoder.encode(data);
+    const dataBuffer = typeof data === 'string' ? encoder.encode(data) : data;
     const hashBuffer = await crypto.subtle.digest('SHA-256', dataBuffer);
     const hashArray = Array.from(new Uint8Array(hashBuffer));
     return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
   }
 
-  // Temporary storage for request data
-  async storeRequestData(requestId, data) {
-    await chrome.storage.local.set({ [`req_${requestId}`]: data });
+  // In-flight request correlation, kept in memory and checkpointed to session storage
+  storeRequestData(requestId, data) {
+    this.pendingRequests.set(requestId, { ...data, last_event_at: Date.now() });
+    this.scheduleCheckpoint();
   }
 
-  async getRequestData(requestId) {
-    const result = await chrome.storage.local.get([`req_${requestId}`]);
-    return result[`req_${requestId}`];
+  getRequestData(requestId) {
+    return this.pendingRequests.get(requestId);
   }
 
-  async updateRequestData(requestId, data) {
-    const existing = await this.getRequestData(requestId);
+  updateRequestData(requestId, data) {
+    const existing = this.pendingRequests.get(requestId);
     if (existing) {
-      const updated = { ...existing, ...data };
-      await chrome.storage.local.set({ [`req_${requestId}`]: updated });
+      this.pendingRequests.set(requestId, { ...existing, ...data, last_event_at: Date.now() });
+      this.scheduleCheckpoint();
+    }
+  }
+
+  cleanupRequestData(requestId) {
+    if (this.pendingRequests.delete(requestId)) {
+      this.scheduleCheckpoint();
+    }
+  }
+
+  // Requests that never received a completion or error event are stored as incomplete
+  evictStaleRequests() {
+    const cutoff = Date.now() - PENDING_REQUEST_TTL;
+    this.pendingRequests.forEach((data, requestId) => {
+      if (data.last_event_at < cutoff) {
+        this.pendingRequests.delete(requestId);
+        this.storeCompleteRequest({
+          ...data,
+          response_code: data.response_code || 0,
+          error: 'incomplete',
+          error_category: 'incomplete'
+        });
+      }
+    });
+    this.scheduleCheckpoint();
+  }
+
+  scheduleCheckpoint() {
+    if (this.checkpointTimer) return;
+    this.checkpointTimer = setTimeout(() => this.checkpointPendingRequests(), CHECKPOINT_DELAY);
+  }
+
+  async checkpointPendingRequests() {
+    this.checkpointTimer = null;
+    try {
+      // storage.session is readable by every extension page, so in-flight captures are
+      // redacted before they leave memory, just as they would be when stored
+      const redact = record => this.redactor.redactRecord(record);
+      const pendingRequests = await Promise.all(
+        Array.from(this.pendingRequests.entries()).map(async ([requestId, data]) => [requestId, await redact(data)])
+      );
+      const sessions = await Promise.all(Array.from(this.navigationSessions.values()).map(redact));
+
+      await chrome.storage.session.set({
+        pendingRequests,
+        queuedRequests: this.getQueuedRecords(),
+        navigation: {
+          sessions,
+          tabs: Array.from(this.tabNavigation.entries()),
+          documents: Array.from(this.documentSessions.entries())
+        }
+      });
+    } catch (error) {
+      console.warn('Error checkpointing pending requests:', error);
     }
   }
 
-  async cleanupRequestData(requestId) {
-    await chrome.storage.local.remove([`req_${requestId}`]);
+  // Pick up in-flight requests and unwritten records left behind by a service-worker restart
+  // Records not yet known to be stored: the queue and any batch still being written
+  getQueuedRecords() {
+    return [...Array.from(this.flushingBatches).flat(), ...this.writeQueue];
+  }
+
+  async recoverPendingRequests() {
+    try {
+      const result = await chrome.storage.session.get(['pendingRequests', 'queuedRequests', 'navigation']);
+      (result.pendingRequests || []).forEach(([requestId, data]) => {
+        if (!this.pendingRequests.has(requestId)) {
+          this.pendingRequests.set(requestId, data);
+        }
+      });
+      this.writeQueue.unshift(...(result.queuedRequests || []));
+      if (result.navigation) {
+        result.navigation.sessions.forEach(session => this.navigationSessions.set(session.id, session));
+        this.tabNavigation = new Map(result.navigation.tabs);
+        this.documentSessions = new Map(result.navigation.documents);
+      }
+
+      // Drop temporary entries leaked into chrome.storage.local by earlier versions
+      const stored = await chrome.storage.local.get(null);
+      const leakedKeys = Object.keys(stored).filter(key => key.startsWith('req_'));
+      if (leakedKeys.length > 0) {
+        await chrome.storage.local.remove(leakedKeys);
+      }
+
+      console.log(`Recovered ${this.pendingRequests.size} pending and ${this.writeQueue.length} queued requests`);
+      this.evictStaleRequests();
+      await this.flushWriteQueue();
+    } catch (error) {
+      console.error('Error recovering pending requests:', error);
+    }
   }
 
   async logTabActivity(tabId, tab) {
@@ -334,70 +1183,848 @@ class BrowserActivityMonitor {
   }
 
   // Content script data handlers
-  handlePageInfo(data, tab) {
-    if (!this.isMonitoring) return;
-    console.log('Page info received:', data);
-    // Store page info in a separate table or add to existing request data
+  handlePageInfo(data, tab, documentId) {
+    this.setNavigationTitle(data, tab, documentId);
+    this.storeActivity('page_views', data, tab, {
+      title: data.title,
+      referrer: data.referrer,
+      user_agent: data.userAgent,
+      language: data.language,
+      platform: data.platform,
+      viewport_width: data.viewport ? data.viewport.width : null,
+      viewport_height: data.viewport ? data.viewport.height : null,
+      screen_width: data.screen ? data.screen.width : null,
+      screen_height: data.screen ? data.screen.height : null,
+      cookie_enabled: data.cookieEnabled,
+      online: data.onLine
+    });
   }
 
   handleFormSubmission(data, tab) {
-    if (!this.isMonitoring) return;
-    console.log('Form submission:', data);
-    // Log form submission data
+    this.storeActivity('form_submissions', data, tab, {
+      form_action: data.action,
+      form_method: data.method,
+      form_id: data.formId,
+      form_class: data.formClass,
+      form_name: data.formName,
+      fields: JSON.stringify(data.fields || {})
+    });
   }
 
   handleUserInteraction(data, tab) {
-    if (!this.isMonitoring) return;
-    console.log('User interaction:', data);
-    // Log user interaction data
+    const target = data.target || {};
+    const modifiers = ['ctrl', 'shift', 'alt', 'meta'].filter(key => data[`${key}Key`]);
+
+    this.storeActivity('interactions', data, tab, {
+      type: data.type,
+      target_tag: target.tagName,
+      target_id: target.id,
+      target_class: typeof target.className === 'string' ? target.className : '',
+      target_text: target.textContent,
+      target_href: target.href,
+      x: data.coordinates ? data.coordinates.x : null,
+      y: data.coordinates ? data.coordinates.y : null,
+      modifiers: modifiers.join('+')
+    });
   }
 
   handleConsoleMessage(data, tab) {
-    if (!this.isMonitoring) return;
-    console.log('Console message:', data);
-    // Log console messages
+    this.storeActivity('console_messages', data, tab, {
+      level: data.level,
+      message: data.message
+    });
   }
 
   handleVisibilityChange(data, tab) {
-    if (!this.isMonitoring) return;
-    console.log('Visibility change:', data);
-    // Log page visibility changes
+    this.storeActivity('visibility_events', data, tab, {
+      event: data.hidden ? 'hidden' : 'visible'
+    });
   }
 
   handlePageUnload(data, tab) {
-    if (!this.isMonitoring) return;
-    console.log('Page unload:', data);
-    // Log page unload events
+    this.storeActivity('visibility_events', data, tab, {
+      event: 'unload'
+    });
   }
 
-  // Public methods for popup control
-  startMonitoring() {
-    this.isMonitoring = true;
-    console.log('Monitoring started');
+  storeActivity(storeName, data, tab, fields) {
+    if (!this.isMonitoring || this.skipWhileLocked()) return;
+
+    // Events without a URL of their own belong to the page the tab is showing
+    const url = data.url || (tab && tab.url) || '';
+    const domain = this.extractDomain(url);
+    if (!this.isTabRecorded(tab ? tab.id : -1, tab) || !this.shouldCapture(url)) return;
+
+    this.queueRedacted(storeName, {
+      timestamp: data.timestamp || new Date().toISOString(),
+      tab_id: tab ? tab.id : -1,
+      window_id: tab ? tab.windowId : null,
+      url,
+      domain,
+      ...fields
+    });
   }
 
-  stopMonitoring() {
-    this.isMonitoring = false;
-    console.log('Monitoring stopped');
+  async getActivityData(storeNames = Object.keys(ACTIVITY_STORES)) {
+    this.flushNavigationSessions();
+    await this.settleWrites();
+
+    const activity = {};
+    for (const storeName of storeNames) {
+      activity[storeName] = await new Promise((resolve, reject) => {
+        const request = this.db.transaction([storeName], 'readonly').objectStore(storeName).getAll();
+        request.onsuccess = () => resolve(this.cipher.decryptRecords(request.result));
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return activity;
   }
 
-  async exportData() {
-    try {
-      console.log('Exporting data...');
-      const data = await this.getAllData();
-      console.log('Exported data count:', data.length);
-      return data;
-    } catch (error) {
-      console.error('Error exporting data:', error);
-      return [];
+  // Navigation sessions: one per top-level page load, keyed by tab and documentId. Requests are
+  // attached through the documentId of the frame that made them, falling back to the tab's page
+  handleBeforeNavigate(details) {
+    if (details.frameId !== 0 || !this.shouldRecordNavigation(details.tabId, details.url)) return;
+
+    // The document request may have opened the session already
+    const pending = this.navigationSessions.get(this.getTabNavigation(details.tabId).pending);
+    if (pending && pending.url === details.url) return;
+    this.openNavigationSession(details.tabId, details.url, details.timeStamp);
+  }
+
+  handleNavigationCommitted(details) {
+    const navigation = this.getTabNavigation(details.tabId);
+
+    if (details.frameId !== 0) {
+      // Subframe documents belong to the page that embeds them
+      const sessionId = this.documentSessions.get(details.parentDocumentId) || navigation.current;
+      if (sessionId && details.documentId) {
+        this.documentSessions.set(details.documentId, sessionId);
+        this.scheduleCheckpoint();
+      }
+      return;
+    }
+
+    let session = this.navigationSessions.get(navigation.pending);
+    if (!session) {
+      // Back/forward cache restores commit without a matching onBeforeNavigate
+      if (!this.shouldRecordNavigation(details.tabId, details.url)) return;
+      session = this.openNavigationSession(details.tabId, details.url, details.timeStamp);
+    }
+
+    Object.assign(session, {
+      document_id: details.documentId || null,
+      url: details.url,
+      domain: this.extractDomain(details.url),
+      transition_type: details.transitionType || null,
+      committed_at: new Date(details.timeStamp).toISOString()
+    });
+    if (details.documentId) {
+      this.documentSessions.set(details.documentId, session.id);
+    }
+
+    // The page before keeps its session for a while: its unload beacons still arrive
+    if (navigation.previous) {
+      this.closeNavigationSession(navigation.previous);
     }
+    navigation.previous = navigation.current;
+    navigation.current = session.id;
+    navigation.pending = null;
+    this.markSessionDirty(session);
   }
 
-  async getAllData() {
-    return new Promise((resolve, reject) => {
-      try {
-        if (!this.db) {
-          console.error('Database not initialized');
+  handleNavigationTiming(details, field) {
+    if (details.frameId !== 0) return;
+
+    const session = this.findNavigationSession(details);
+    if (session) {
+      session[field] = details.timeStamp - session.start_time;
+      if (field === 'load_duration') {
+        session.completed_at = new Date(details.timeStamp).toISOString();
+      }
+      this.markSessionDirty(session);
+    }
+  }
+
+  handleNavigationError(details) {
+    if (details.frameId !== 0) return;
+
+    const navigation = this.getTabNavigation(details.tabId);
+    const session = this.navigationSessions.get(navigation.pending) || this.findNavigationSession(details);
+    if (session) {
+      session.error = details.error;
+      if (navigation.pending === session.id) {
+        navigation.pending = null;
+      }
+      this.markSessionDirty(session);
+    }
+  }
+
+  setNavigationTitle(data, tab, documentId) {
+    if (!tab) return;
+
+    const session = this.findNavigationSession({ tabId: tab.id, documentId });
+    if (session && data.title) {
+      session.title = data.title;
+      this.markSessionDirty(session);
+    }
+  }
+
+  getRequestSessionId(details) {
+    if (details.tabId < 0) return null;
+
+    const navigation = this.getTabNavigation(details.tabId);
+    if (details.type === 'main_frame') {
+      // Without webNavigation events (e.g. prerendering) the document request opens the session
+      const session = this.navigationSessions.get(navigation.pending) ||
+        this.openNavigationSession(details.tabId, details.url, details.timeStamp);
+      return session.id;
+    }
+
+    return this.documentSessions.get(details.documentId) ||
+      this.documentSessions.get(details.parentDocumentId) ||
+      navigation.current ||
+      null;
+  }
+
+  shouldRecordNavigation(tabId, url) {
+    return this.isMonitoring && tabId >= 0 && this.isTabRecorded(tabId) && this.shouldCapture(url);
+  }
+
+  openNavigationSession(tabId, url, timeStamp) {
+    const info = this.tabInfo.get(tabId);
+    const startedAt = new Date(timeStamp).toISOString();
+    const session = {
+      // Generated here so requests can point at the session before it is first written
+      id: Date.now() * 1000 + (this.sessionSequence++ % 1000),
+      timestamp: startedAt,
+      tab_id: tabId,
+      window_id: info ? info.windowId : null,
+      url,
+      domain: this.extractDomain(url),
+      document_id: null,
+      title: null,
+      transition_type: null,
+      started_at: startedAt,
+      committed_at: null,
+      completed_at: null,
+      dom_content_loaded: null,
+      load_duration: null,
+      error: null,
+      start_time: timeStamp
+    };
+
+    const navigation = this.getTabNavigation(tabId);
+    if (navigation.pending) {
+      // A new navigation replaced one that never committed
+      this.closeNavigationSession(navigation.pending);
+    }
+    navigation.pending = session.id;
+    this.navigationSessions.set(session.id, session);
+    this.markSessionDirty(session);
+    return session;
+  }
+
+  findNavigationSession(details) {
+    const sessionId = this.documentSessions.get(details.documentId) || this.getTabNavigation(details.tabId).current;
+    return this.navigationSessions.get(sessionId) || null;
+  }
+
+  getTabNavigation(tabId) {
+    if (!this.tabNavigation.has(tabId)) {
+      this.tabNavigation.set(tabId, { pending: null, current: null, previous: null });
+    }
+    return this.tabNavigation.get(tabId);
+  }
+
+  // Writes the session one last time and forgets it
+  closeNavigationSession(sessionId) {
+    this.flushNavigationSessions();
+    this.navigationSessions.delete(sessionId);
+    this.documentSessions.forEach((id, documentId) => {
+      if (id === sessionId) this.documentSessions.delete(documentId);
+    });
+    this.scheduleCheckpoint();
+  }
+
+  closeTabNavigation(tabId) {
+    const navigation = this.tabNavigation.get(tabId);
+    if (!navigation) return;
+
+    [navigation.pending, navigation.current, navigation.previous].filter(Boolean)
+      .forEach(sessionId => this.closeNavigationSession(sessionId));
+    this.tabNavigation.delete(tabId);
+  }
+
+  markSessionDirty(session) {
+    this.dirtySessions.add(session.id);
+    this.scheduleCheckpoint();
+    if (!this.sessionSaveTimer) {
+      this.sessionSaveTimer = setTimeout(() => this.flushNavigationSessions(), SESSION_SAVE_DELAY);
+    }
+  }
+
+  flushNavigationSessions() {
+    clearTimeout(this.sessionSaveTimer);
+    this.sessionSaveTimer = null;
+
+    this.dirtySessions.forEach(sessionId => {
+      const session = this.navigationSessions.get(sessionId);
+      if (session && !this.cipher.isLocked()) {
+        const { start_time, ...record } = session;
+        this.queueRedacted('page_sessions', record);
+      }
+    });
+    this.dirtySessions.clear();
+  }
+
+  // Public methods for popup control
+  async startMonitoring() {
+    if (this.isMonitoring && this.monitoringSession && !this.monitoringSession.stopped_at) {
+      return;
+    }
+
+    this.isMonitoring = true;
+    this.monitoringSession = this.createMonitoringSession();
+    this.logMonitoringEvent('start');
+    await this.saveMonitoringState();
+    this.pushStats();
+    this.updateAllBadges();
+    console.log('Monitoring started');
+  }
+
+  async stopMonitoring() {
+    if (!this.isMonitoring) return;
+
+    this.isMonitoring = false;
+    if (this.monitoringSession) {
+      this.monitoringSession.stopped_at = new Date().toISOString();
+    }
+    this.logMonitoringEvent('stop');
+    await this.saveMonitoringState();
+    this.pushStats();
+    this.updateAllBadges();
+    console.log('Monitoring stopped');
+  }
+
+  // Monitoring state, persisted so a service-worker restart does not undo Start/Stop
+  async loadMonitoringState() {
+    try {
+      const result = await chrome.storage.local.get(['isMonitoring', 'monitoringSession', 'monitoringEvents', 'storedBytes']);
+      this.isMonitoring = result.isMonitoring !== false;
+      this.storedBytes = typeof result.storedBytes === 'number' ? result.storedBytes : null;
+      this.monitoringSession = result.monitoringSession || null;
+      this.monitoringEvents = result.monitoringEvents || [];
+
+      if (!this.isMonitoring) {
+        console.log('Monitoring state restored: stopped');
+      } else if (this.monitoringSession && !this.monitoringSession.stopped_at) {
+        // The worker was restarted mid-session; nothing was captured between the
+        // last saved activity and now
+        this.monitoringSession.restarts = (this.monitoringSession.restarts || 0) + 1;
+        this.logMonitoringEvent('restart', { gap_started_at: this.monitoringSession.last_active_at });
+      } else {
+        this.monitoringSession = this.createMonitoringSession();
+        this.logMonitoringEvent('start');
+      }
+
+      await this.saveMonitoringState();
+    } catch (error) {
+      console.error('Error loading monitoring state:', error);
+    }
+  }
+
+  async saveMonitoringState() {
+    clearTimeout(this.stateSaveTimer);
+    this.stateSaveTimer = null;
+
+    if (this.isMonitoring && this.monitoringSession) {
+      this.monitoringSession.last_active_at = new Date().toISOString();
+    }
+
+    try {
+      await chrome.storage.local.set({
+        isMonitoring: this.isMonitoring,
+        monitoringSession: this.monitoringSession,
+        monitoringEvents: this.monitoringEvents,
+        stats: this.stats,
+        storedBytes: this.storedBytes
+      });
+    } catch (error) {
+      console.error('Error saving monitoring state:', error);
+    }
+  }
+
+  scheduleStateSave() {
+    if (this.stateSaveTimer) return;
+    this.stateSaveTimer = setTimeout(() => this.saveMonitoringState(), STATE_SAVE_DELAY);
+  }
+
+  createMonitoringSession() {
+    const now = new Date();
+    return {
+      id: `session_${now.getTime()}`,
+      started_at: now.toISOString(),
+      last_active_at: now.toISOString(),
+      stopped_at: null,
+      requests: 0,
+      errors: 0,
+      restarts: 0
+    };
+  }
+
+  logMonitoringEvent(type, details = {}) {
+    const session = this.monitoringSession || {};
+    const event = {
+      type,
+      timestamp: new Date().toISOString(),
+      session_id: session.id || null,
+      requests: session.requests || 0,
+      errors: session.errors || 0,
+      ...details
+    };
+
+    this.monitoringEvents.push(event);
+    if (this.monitoringEvents.length > MONITORING_EVENT_LIMIT) {
+      this.monitoringEvents = this.monitoringEvents.slice(-MONITORING_EVENT_LIMIT);
+    }
+    console.log(`Monitoring ${type}:`, event);
+  }
+
+  recordSessionActivity(record) {
+    if (!this.monitoringSession) return;
+
+    this.monitoringSession.requests++;
+    if (record.error) {
+      this.monitoringSession.errors++;
+    }
+    this.scheduleStateSave();
+  }
+
+  getMonitoringState() {
+    return {
+      isMonitoring: this.isMonitoring,
+      session: this.monitoringSession,
+      events: this.monitoringEvents
+    };
+  }
+
+  // Per-tab and per-window recording. Armed tabs and windows are kept in session storage: tab and
+  // window ids are only valid until the browser restarts
+  async loadRecordingScope() {
+    try {
+      const result = await chrome.storage.session.get(['recordingScope']);
+      if (result.recordingScope) {
+        this.armedTabs = new Set(result.recordingScope.tabs);
+        this.armedWindows = new Set(result.recordingScope.windows);
+      }
+
+      const tabs = await chrome.tabs.query({});
+      tabs.forEach(tab => this.trackTab(tab));
+      this.updateAllBadges();
+    } catch (error) {
+      console.error('Error loading recording scope:', error);
+    }
+  }
+
+  async saveRecordingScope() {
+    try {
+      await chrome.storage.session.set({
+        recordingScope: { tabs: Array.from(this.armedTabs), windows: Array.from(this.armedWindows) }
+      });
+    } catch (error) {
+      console.error('Error saving recording scope:', error);
+    }
+  }
+
+  trackTab(tab) {
+    if (!tab || tab.id === undefined) return;
+    this.tabInfo.set(tab.id, { windowId: tab.windowId, incognito: !!tab.incognito });
+  }
+
+  handleTabCreated(tab) {
+    this.trackTab(tab);
+    // Popups and links opened from an armed tab belong to the same reproduction
+    if (this.settings.recordChildTabs && tab.openerTabId !== undefined && this.isTabArmed(tab.openerTabId)) {
+      this.armedTabs.add(tab.id);
+      this.logMonitoringEvent('arm', { tab_id: tab.id, opener_tab_id: tab.openerTabId });
+      this.saveRecordingScope();
+    }
+    this.updateBadge(tab.id);
+  }
+
+  isRecordingTargeted() {
+    return this.armedTabs.size > 0 || this.armedWindows.size > 0;
+  }
+
+  isTabArmed(tabId) {
+    const info = this.tabInfo.get(tabId);
+    return this.armedTabs.has(tabId) || (!!info && this.armedWindows.has(info.windowId));
+  }
+
+  // tab is the sender tab of content-script events, used before tabs.onCreated has been seen
+  isTabRecorded(tabId, tab = null) {
+    const info = this.tabInfo.get(tabId) || tab;
+    if (info && info.incognito && !this.settings.recordIncognito) return false;
+    return !this.isRecordingTargeted() || this.isTabArmed(tabId);
+  }
+
+  async armTab(tabId, armed) {
+    if (armed) {
+      const tab = await chrome.tabs.get(tabId);
+      this.trackTab(tab);
+      if (tab.incognito && !this.settings.recordIncognito) {
+        throw new Error('Allow incognito recording first');
+      }
+      this.armedTabs.add(tabId);
+    } else {
+      this.armedTabs.delete(tabId);
+    }
+    this.logMonitoringEvent(armed ? 'arm' : 'disarm', { tab_id: tabId });
+    await this.saveRecordingScope();
+    this.updateAllBadges();
+  }
+
+  async armWindow(windowId, armed) {
+    if (armed) {
+      const window = await chrome.windows.get(windowId);
+      if (window.incognito && !this.settings.recordIncognito) {
+        throw new Error('Allow incognito recording first');
+      }
+      this.armedWindows.add(windowId);
+    } else {
+      this.armedWindows.delete(windowId);
+    }
+    this.logMonitoringEvent(armed ? 'arm' : 'disarm', { window_id: windowId });
+    await this.saveRecordingScope();
+    this.updateAllBadges();
+  }
+
+  // Back to recording every tab
+  async clearArming() {
+    this.armedTabs.clear();
+    this.armedWindows.clear();
+    this.logMonitoringEvent('disarm', { all: true });
+    await this.saveRecordingScope();
+    this.updateAllBadges();
+  }
+
+  async getRecordingState(tabId) {
+    const info = this.tabInfo.get(tabId);
+    return {
+      targeted: this.isRecordingTargeted(),
+      armedTabs: Array.from(this.armedTabs),
+      armedWindows: Array.from(this.armedWindows),
+      tab: {
+        id: tabId,
+        armed: this.armedTabs.has(tabId),
+        recorded: this.isMonitoring && this.isTabRecorded(tabId),
+        incognito: !!(info && info.incognito)
+      },
+      window: info ? { id: info.windowId, armed: this.armedWindows.has(info.windowId) } : null,
+      incognitoAllowed: await chrome.extension.isAllowedIncognitoAccess()
+    };
+  }
+
+  // Badge: REC on tabs recorded because they are armed, OFF on tabs that are not recorded
+  updateBadge(tabId) {
+    let text = '';
+    let color = '#9e9e9e';
+    if (!this.isMonitoring || !this.isTabRecorded(tabId)) {
+      text = 'OFF';
+    } else if (this.isRecordingTargeted()) {
+      text = 'REC';
+      color = '#f44336';
+    }
+
+    // The tab may already be gone
+    chrome.action.setBadgeText({ tabId, text }).catch(() => {});
+    chrome.action.setBadgeBackgroundColor({ tabId, color }).catch(() => {});
+  }
+
+  updateAllBadges() {
+    this.tabInfo.forEach((info, tabId) => this.updateBadge(tabId));
+  }
+
+  // Encryption at rest, see record-cipher.js
+  async loadEncryption() {
+    try {
+      await this.cipher.load();
+      if (this.cipher.isLocked()) {
+        // Nothing is stored until the passphrase is entered again
+        this.logMonitoringEvent('locked');
+        this.scheduleStateSave();
+      }
+    } catch (error) {
+      console.error('Error loading encryption state:', error);
+    }
+  }
+
+  getEncryptionState() {
+    return { ...this.cipher.getState(), skippedWhileLocked: this.skippedWhileLocked };
+  }
+
+  skipWhileLocked() {
+    if (!this.cipher.isLocked()) return false;
+    this.skippedWhileLocked++;
+    return true;
+  }
+
+  assertUnlocked(message = 'Unlock encrypted data before exporting') {
+    if (this.cipher.isLocked()) {
+      throw new Error(message);
+    }
+  }
+
+  async enableEncryption(passphrase) {
+    await this.cipher.enable(passphrase);
+    // Seal what was captured before encryption was turned on
+    await this.rewriteAllRecords((storeName, record) =>
+      record.encrypted ? record : this.cipher.encryptRecord(storeName, record)
+    );
+    this.logMonitoringEvent('encryption_enabled');
+    this.scheduleStateSave();
+  }
+
+  async unlockEncryption(passphrase) {
+    await this.cipher.unlock(passphrase);
+    this.logMonitoringEvent('unlocked', { skipped_while_locked: this.skippedWhileLocked });
+    this.skippedWhileLocked = 0;
+    this.scheduleStateSave();
+  }
+
+  async lockEncryption() {
+    // Records already on their way to storage are sealed with the key before it goes away
+    await this.settleWrites();
+    await this.cipher.lock();
+    this.logMonitoringEvent('locked');
+    this.scheduleStateSave();
+  }
+
+  async disableEncryption() {
+    this.assertUnlocked();
+    this.cipher.sealing = false;
+    try {
+      await this.rewriteAllRecords((storeName, record) =>
+        record.encrypted ? this.cipher.decryptRecord(record) : record
+      );
+    } catch (error) {
+      this.cipher.sealing = true;
+      throw error;
+    }
+    await this.cipher.disable();
+    this.logMonitoringEvent('encryption_disabled');
+    this.scheduleStateSave();
+  }
+
+  // Applies an async transform to every stored record, in batches small enough that no
+  // transaction is held open across the crypto calls
+  async rewriteAllRecords(transform) {
+    await this.settleWrites();
+    this.storedBytes = null; // Sealing and unsealing change every record's size; measured again on the next prune
+
+    for (const storeName of ['network_requests', ...Object.keys(ACTIVITY_STORES)]) {
+      let lastKey = null;
+      while (true) {
+        const batch = await new Promise((resolve, reject) => {
+          const range = lastKey === null ? null : IDBKeyRange.lowerBound(lastKey, true);
+          const request = this.db.transaction([storeName], 'readonly').objectStore(storeName).getAll(range, 500);
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+        if (batch.length === 0) break;
+
+        const updated = [];
+        for (const record of batch) {
+          const next = await transform(storeName, record);
+          if (next !== record) updated.push(next);
+        }
+
+        if (updated.length > 0) {
+          await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
+            updated.forEach(record => store.put(record));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+          });
+        }
+        lastKey = batch[batch.length - 1].id;
+      }
+    }
+  }
+
+  // Running statistics, pushed to open popups over 'stats' ports
+  createEmptyStats() {
+    return {
+      since: new Date().toISOString(),
+      totalRequests: 0,
+      errors: 0,
+      bytes: 0,
+      byTab: {}, // tabId -> { requests, errors, bytes }
+      byDomain: {}, // domain -> { requests, errors, bytes }, at most STATS_MAX_DOMAINS entries
+      evictedDomains: 0,
+      minutes: [] // [minute start (ms), requests] for the last STATS_MINUTES minutes
+    };
+  }
+
+  async loadStats() {
+    try {
+      const result = await chrome.storage.local.get(['stats']);
+      if (result.stats && result.stats.byDomain) {
+        this.stats = { ...this.createEmptyStats(), ...result.stats };
+        while (Object.keys(this.stats.byDomain).length > STATS_MAX_DOMAINS) {
+          this.evictStatsDomain();
+        }
+
+        // Tabs closed while the worker was not running never got their onRemoved
+        const openTabs = new Set((await chrome.tabs.query({})).map(tab => String(tab.id)));
+        Object.keys(this.stats.byTab).forEach(tabId => {
+          if (tabId !== '-1' && !openTabs.has(tabId)) delete this.stats.byTab[tabId];
+        });
+        return;
+      }
+
+      // First run with stats: start the total from what is already stored
+      this.stats.totalRequests = await this.countRecords();
+    } catch (error) {
+      console.error('Error loading stats:', error);
+    }
+  }
+
+  countRecords() {
+    return new Promise((resolve, reject) => {
+      const request = this.db.transaction(['network_requests'], 'readonly').objectStore('network_requests').count();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  recordStats(record) {
+    const stats = this.stats;
+    const bytes = Number(record.content_length) || 0;
+    const failed = record.error ? 1 : 0;
+
+    stats.totalRequests++;
+    stats.errors += failed;
+    stats.bytes += bytes;
+
+    if (!stats.byDomain[record.domain] && Object.keys(stats.byDomain).length >= STATS_MAX_DOMAINS) {
+      this.evictStatsDomain();
+    }
+
+    [[stats.byTab, record.tab_id], [stats.byDomain, record.domain]].forEach(([counters, key]) => {
+      const entry = counters[key] || (counters[key] = { requests: 0, errors: 0, bytes: 0 });
+      entry.requests++;
+      entry.errors += failed;
+      entry.bytes += bytes;
+    });
+
+    const minute = Math.floor(Date.now() / 60000) * 60000;
+    const last = stats.minutes[stats.minutes.length - 1];
+    if (last && last[0] === minute) {
+      last[1]++;
+    } else {
+      stats.minutes.push([minute, 1]);
+      if (stats.minutes.length > STATS_MINUTES) {
+        stats.minutes.shift();
+      }
+    }
+
+    this.scheduleStateSave();
+    this.scheduleStatsPush();
+  }
+
+  // Keeps the persisted stats bounded: only the busiest domains are ever shown
+  evictStatsDomain() {
+    let leastActive = null;
+    Object.entries(this.stats.byDomain).forEach(([domain, counters]) => {
+      if (!leastActive || counters.requests < this.stats.byDomain[leastActive].requests) {
+        leastActive = domain;
+      }
+    });
+    delete this.stats.byDomain[leastActive];
+    this.stats.evictedDomains++;
+  }
+
+  getStatsSnapshot() {
+    const stats = this.stats;
+    const windowStart = Math.floor(Date.now() / 60000) * 60000 - (STATS_RATE_WINDOW - 1) * 60000;
+    const recent = stats.minutes
+      .filter(([minute]) => minute >= windowStart)
+      .reduce((sum, [, count]) => sum + count, 0);
+
+    const topDomains = Object.entries(stats.byDomain)
+      .sort((a, b) => b[1].requests - a[1].requests)
+      .slice(0, STATS_TOP_DOMAINS)
+      .map(([domain, counters]) => ({ domain, ...counters }));
+
+    return {
+      since: stats.since,
+      totalRequests: stats.totalRequests,
+      errors: stats.errors,
+      bytes: stats.bytes,
+      requestsPerMinute: Math.round(recent / STATS_RATE_WINDOW * 10) / 10,
+      domainCount: Object.keys(stats.byDomain).length,
+      domainsTruncated: stats.evictedDomains > 0,
+      topDomains,
+      byTab: stats.byTab,
+      minutes: stats.minutes
+    };
+  }
+
+  addStatsPort(port) {
+    this.statsPorts.add(port);
+    port.onDisconnect.addListener(() => this.statsPorts.delete(port));
+    port.postMessage({ stats: this.getStatsSnapshot(), state: this.getMonitoringState() });
+  }
+
+  scheduleStatsPush() {
+    if (this.statsPushTimer || this.statsPorts.size === 0) return;
+    this.statsPushTimer = setTimeout(() => this.pushStats(), STATS_PUSH_DELAY);
+  }
+
+  pushStats() {
+    clearTimeout(this.statsPushTimer);
+    this.statsPushTimer = null;
+    if (this.statsPorts.size === 0) return;
+
+    const message = { stats: this.getStatsSnapshot(), state: this.getMonitoringState() };
+    this.statsPorts.forEach(port => {
+      try {
+        port.postMessage(message);
+      } catch (error) {
+        // The popup closed between the disconnect and this push
+        this.statsPorts.delete(port);
+      }
+    });
+  }
+
+  resetStats() {
+    this.stats = this.createEmptyStats();
+    this.scheduleStateSave();
+    this.pushStats();
+  }
+
+  async exportData() {
+    try {
+      console.log('Exporting data...');
+      const data = await this.getAllData();
+      console.log('Exported data count:', data.length);
+      return data;
+    } catch (error) {
+      console.error('Error exporting data:', error);
+      return [];
+    }
+  }
+
+  async getAllData() {
+    // Make sure records still waiting in the write queue are included
+    await this.settleWrites();
+
+    return new Promise((resolve, reject) => {
+      try {
+        if (!this.db) {
+          console.error('Database not initialized');
           reject(new Error('Database not initialized'));
           return;
         }
@@ -408,7 +2035,7 @@ class BrowserActivityMonitor {
         
         request.onsuccess = () => {
           console.log('Retrieved data count:', request.result.length);
-          resolve(request.result);
+          resolve(this.cipher.decryptRecords(request.result));
         };
         
         request.onerror = () => {
@@ -427,147 +2054,926 @@ class BrowserActivityMonitor {
     });
   }
 
-  async createZipArchive() {
+  // Queries: filtered, sorted and paged reads of network_requests for the analytics page, so it
+  // never has to load the whole store. The sort column's index drives the scan, narrowed by the
+  // filters that index covers; the remaining filters are checked record by record.
+  //
+  // query: { filters: { domain, method, statusMin, statusMax, failed, contentType, from, to, text, tabId },
+  //          sort, order: 'asc' | 'desc', limit, cursor, aggregate }
+  async queryRequests(query = {}) {
+    this.assertUnlocked('Unlock encrypted data to query it');
+    await this.settleWrites();
+
+    const filters = this.normalizeQueryFilters(query.filters || {});
+    const plan = this.planQuery(filters, query.sort, query.order);
+    let position = query.cursor ? this.decodeQueryCursor(query.cursor, plan) : null;
+    if (query.aggregate) {
+      return this.aggregateRequests(plan, position, filters, this.normalizeQueryInterval(query.interval));
+    }
+
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || QUERY_DEFAULT_LIMIT, 1), QUERY_MAX_LIMIT);
+    const records = [];
+    let hasMore = false;
+
+    // Reads on until one match past the page is found, so nextCursor is only set when there is more
+    while (!hasMore) {
+      const chunk = await this.readQueryChunk(plan, position, filters);
+      const matches = (await this.cipher.decryptRecords(chunk.records)).filter(record => this.matchesDecryptedQuery(record, filters));
+
+      for (const record of matches) {
+        if (records.length === limit) {
+          hasMore = true;
+          break;
+        }
+        records.push(record);
+      }
+
+      if (chunk.done) break;
+      position = chunk.position;
+    }
+
+    const last = records[records.length - 1];
+    return {
+      records,
+      sort: plan.sort,
+      order: plan.order,
+      nextCursor: hasMore ? this.encodeQueryCursor(plan, last) : null
+    };
+  }
+
+  // Every matching record is folded into the summary (and its time bucket, with an interval) as
+  // its chunk is decrypted and then let go
+  async aggregateRequests(plan, position, filters, interval = null) {
+    const summary = this.createSummary();
+    const timeline = new Map();
+
+    while (true) {
+      const chunk = await this.readQueryChunk(plan, position, filters);
+      (await this.cipher.decryptRecords(chunk.records))
+        .filter(record => this.matchesDecryptedQuery(record, filters))
+        .forEach(record => {
+          this.addToSummary(summary, record);
+          if (interval) this.addToTimeline(timeline, record, interval);
+        });
+
+      if (chunk.done) break;
+      position = chunk.position;
+    }
+
+    const result = this.finishSummary(summary);
+    if (!interval) {
+      return { total: result.total_requests, summary: result };
+    }
+    return { total: result.total_requests, summary: result, interval, buckets: this.finishTimeline(timeline) };
+  }
+
+  normalizeQueryInterval(interval) {
+    if (interval === undefined || interval === null || interval === '') return null;
+    const value = Number(interval);
+    if (!(value >= QUERY_MIN_INTERVAL)) {
+      throw new Error(`Interval must be at least ${QUERY_MIN_INTERVAL} ms`);
+    }
+    return Math.floor(value);
+  }
+
+  // Buckets start at multiples of the interval since the epoch; empty ones are left out
+  addToTimeline(timeline, request, interval) {
+    const time = new Date(request.timestamp).getTime();
+    if (isNaN(time)) return;
+
+    const start = Math.floor(time / interval) * interval;
+    if (!timeline.has(start)) {
+      timeline.set(start, { start, requests: 0, failed: 0, http_errors: 0, bytes: 0, response_times: [] });
+    }
+    const bucket = timeline.get(start);
+    bucket.requests++;
+    bucket.bytes += request.content_length || 0;
+    if (request.error) {
+      bucket.failed++;
+    } else if (request.response_code >= 400) {
+      bucket.http_errors++;
+    }
+    if (typeof request.response_time === 'number') {
+      bucket.response_times.push(request.response_time);
+    }
+  }
+
+  finishTimeline(timeline) {
+    return Array.from(timeline.values())
+      .sort((a, b) => a.start - b.start)
+      .map(({ response_times: responseTimes, ...bucket }) => {
+        const values = responseTimes.sort((a, b) => a - b);
+        return {
+          ...bucket,
+          p50: values.length ? this.percentile(values, 50) : null,
+          p95: values.length ? this.percentile(values, 95) : null,
+          p99: values.length ? this.percentile(values, 99) : null
+        };
+      });
+  }
+
+  normalizeQueryFilters(filters) {
+    const time = (value, name) => {
+      if (value === undefined || value === null || value === '') return null;
+      const date = new Date(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+      if (isNaN(date.getTime())) {
+        throw new Error(`Invalid ${name} time`);
+      }
+      return date.toISOString();
+    };
+    const number = (value) => value === undefined || value === null || value === '' || isNaN(Number(value)) ? null : Number(value);
+
+    return {
+      domain: filters.domain ? String(filters.domain).trim().toLowerCase() : null,
+      method: filters.method ? String(filters.method).trim().toUpperCase() : null,
+      statusMin: number(filters.statusMin),
+      statusMax: number(filters.statusMax),
+      failed: filters.failed === true,
+      contentType: filters.contentType ? String(filters.contentType).trim().toLowerCase() : null,
+      from: time(filters.from, 'from'),
+      to: time(filters.to, 'to'),
+      text: filters.text ? String(filters.text).trim().toLowerCase() : null,
+      tabId: number(filters.tabId),
+      pageSessionId: number(filters.pageSessionId)
+    };
+  }
+
+  // Picks the index to scan and the key range on it
+  planQuery(filters, sort = 'timestamp', order = 'desc') {
+    if (!QUERY_SORT_FIELDS.includes(sort)) {
+      throw new Error(`Cannot sort by ${sort}`);
+    }
+
+    const plan = { sort, order: order === 'asc' ? 'asc' : 'desc', index: sort, lower: undefined, upper: undefined };
+    const from = filters.from || '';
+    const to = filters.to || '\uffff';
+
+    if (sort === 'timestamp' && filters.pageSessionId !== null) {
+      Object.assign(plan, { index: 'session_timestamp', lower: [filters.pageSessionId, from], upper: [filters.pageSessionId, to] });
+    } else if (sort === 'timestamp' && filters.domain !== null) {
+      Object.assign(plan, { index: 'domain_timestamp', lower: [filters.domain, from], upper: [filters.domain, to] });
+    } else if (sort === 'timestamp' && filters.tabId !== null) {
+      Object.assign(plan, { index: 'tab_timestamp', lower: [filters.tabId, from], upper: [filters.tabId, to] });
+    } else if (sort === 'timestamp') {
+      Object.assign(plan, { lower: filters.from || undefined, upper: filters.to || undefined });
+    } else if (sort === 'response_code') {
+      Object.assign(plan, { lower: filters.statusMin === null ? undefined : filters.statusMin, upper: filters.statusMax === null ? undefined : filters.statusMax });
+    } else {
+      const value = { domain: filters.domain, method: filters.method, tab_id: filters.tabId }[sort];
+      if (value !== null) {
+        Object.assign(plan, { lower: value, upper: value });
+      }
+    }
+    return plan;
+  }
+
+  // One read-only transaction's worth of matching records; position is where the next chunk resumes
+  readQueryChunk(plan, position, filters) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['network_requests'], 'readonly');
+      const index = transaction.objectStore('network_requests').index(plan.index);
+      const direction = plan.order === 'asc' ? 'next' : 'prev';
+
+      // Resuming narrows the range to start at the last key seen; ties are skipped by primary key below
+      let lower = plan.lower;
+      let upper = plan.upper;
+      if (position && direction === 'next') lower = position.key;
+      if (position && direction === 'prev') upper = position.key;
+      let range = null;
+      try {
+        if (lower !== undefined && upper !== undefined) range = IDBKeyRange.bound(lower, upper);
+        else if (lower !== undefined) range = IDBKeyRange.lowerBound(lower);
+        else if (upper !== undefined) range = IDBKeyRange.upperBound(upper);
+      } catch {
+        // The resume point is past the end of the range
+        resolve({ records: [], position, done: true });
+        return;
+      }
+
+      const records = [];
+      let scanned = 0;
+      let lastSeen = position;
+      let resuming = !!position;
+      const request = index.openCursor(range, direction);
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve({ records, position: lastSeen, done: true });
+          return;
+        }
+
+        if (resuming) {
+          resuming = false;
+          if (indexedDB.cmp(cursor.key, position.key) === 0 && cursor.primaryKey !== position.id) {
+            const before = direction === 'next' ? cursor.primaryKey < position.id : cursor.primaryKey > position.id;
+            if (before) {
+              cursor.continuePrimaryKey(position.key, position.id);
+              resuming = true;
+              return;
+            }
+          }
+          if (indexedDB.cmp(cursor.key, position.key) === 0 && cursor.primaryKey === position.id) {
+            cursor.continue();
+            return;
+          }
+        }
+
+        lastSeen = { key: cursor.key, id: cursor.primaryKey };
+        if (this.matchesQuery(cursor.value, filters)) {
+          records.push(cursor.value);
+        }
+
+        if (++scanned >= QUERY_CHUNK_SIZE) {
+          resolve({ records, position: lastSeen, done: false });
+        } else {
+          cursor.continue();
+        }
+      };
+
+      request.onerror = () => {
+        console.error('Error querying requests:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  // Filters on plaintext columns, checked before records are decrypted
+  matchesQuery(record, filters) {
+    if (filters.domain !== null && record.domain !== filters.domain) return false;
+    if (filters.method !== null && record.method !== filters.method) return false;
+    if (filters.tabId !== null && record.tab_id !== filters.tabId) return false;
+    if (filters.pageSessionId !== null && record.page_session_id !== filters.pageSessionId) return false;
+    if (filters.statusMin !== null && !(record.response_code >= filters.statusMin)) return false;
+    if (filters.statusMax !== null && !(record.response_code <= filters.statusMax)) return false;
+    if (filters.failed && !record.error) return false;
+    if (filters.from !== null && !(record.timestamp >= filters.from)) return false;
+    if (filters.to !== null && !(record.timestamp <= filters.to)) return false;
+    return true;
+  }
+
+  // Content type and free-text search (URL, error, content type) read sealed columns, so they run after decryption
+  matchesDecryptedQuery(record, filters) {
+    if (filters.contentType !== null && !String(record.content_type || '').toLowerCase().startsWith(filters.contentType)) return false;
+    if (!filters.text) return true;
+    return [record.url, record.error, record.content_type]
+      .some(value => typeof value === 'string' && value.toLowerCase().includes(filters.text));
+  }
+
+  // Cursors are opaque to callers: the last record's index key and id, tied to the index and order
+  encodeQueryCursor(plan, record) {
+    const key = {
+      domain_timestamp: [record.domain, record.timestamp],
+      tab_timestamp: [record.tab_id, record.timestamp],
+      session_timestamp: [record.page_session_id, record.timestamp]
+    }[plan.index] || record[plan.index];
+    return btoa(JSON.stringify({ index: plan.index, order: plan.order, key, id: record.id }));
+  }
+
+  decodeQueryCursor(cursor, plan) {
+    let position;
+    try {
+      position = JSON.parse(atob(cursor));
+    } catch {
+      throw new Error('Invalid cursor');
+    }
+    if (position.index !== plan.index || position.order !== plan.order) {
+      throw new Error('Cursor does not belong to this query');
+    }
+    return position;
+  }
+
+  async createZipArchive() {
+    try {
+      this.assertUnlocked();
+      const blob = await this.buildZipArchive();
+      await this.downloadBlob(blob, `browser_activity_${Date.now()}.zip`);
+      
+      return true;
+    } catch (error) {
+      console.error('Error creating archive:', error);
+      return false;
+    }
+  }
+
+  async buildZipArchive() {
+    const data = await this.exportData();
+    const activity = await this.getActivityData();
+    
+    // Build a ZIP archive with one file per export format
+    const zip = new ZipWriter();
+    await zip.addFile('network_requests.json', JSON.stringify(data, null, 2));
+    await zip.addFile('network_requests.csv', this.convertToCSV(data));
+    for (const [storeName, records] of Object.entries(activity)) {
+      await zip.addFile(`${storeName}.json`, JSON.stringify(records, null, 2));
+      await zip.addFile(`${storeName}.csv`, this.convertToCSV(records));
+    }
+    await zip.addFile('summary.json', JSON.stringify(this.generateSummary(data, activity), null, 2));
+    await zip.addFile('manifest.json', JSON.stringify(this.createArchiveManifest(data, zip.entries, activity), null, 2));
+    
+    return zip.toBlob();
+  }
+
+  async exportEncryptedBundle() {
+    try {
+      this.assertUnlocked();
+      const filename = `browser_activity_${Date.now()}.zip`;
+      const zip = await this.buildZipArchive();
+      const bundle = await this.cipher.createBundle(new Uint8Array(await zip.arrayBuffer()), 'application/zip', filename);
+      const blob = new Blob([JSON.stringify(bundle)], { type: 'application/json' });
+      await this.downloadBlob(blob, filename.replace(/\.zip$/, '.bramon'));
+      return true;
+    } catch (error) {
+      console.error('Error exporting encrypted bundle:', error);
+      return false;
+    }
+  }
+
+  createArchiveManifest(data, entries, activity = {}) {
+    const timestamps = data.map(record => record.timestamp).filter(Boolean).sort();
+    
+    return {
+      generator: 'Browser Activity Monitor',
+      extension_version: chrome.runtime.getManifest().version,
+      generated: new Date().toISOString(),
+      total_records: data.length,
+      activity_records: this.countActivity(activity),
+      first_record: timestamps[0] || null,
+      last_record: timestamps[timestamps.length - 1] || null,
+      monitoring_session: this.monitoringSession,
+      monitoring_events: this.monitoringEvents,
+      files: entries.map(entry => ({
+        name: entry.name,
+        size: entry.size,
+        compressed_size: entry.compressedSize,
+        compression: entry.method === 8 ? 'deflate' : 'store',
+        crc32: entry.crc.toString(16).padStart(8, '0')
+      }))
+    };
+  }
+
+  generateSummary(data, activity = {}) {
+    const summary = this.createSummary();
+    data.forEach(request => this.addToSummary(summary, request));
+    return { ...this.finishSummary(summary), activity: this.countActivity(activity) };
+  }
+
+  // Summaries are built one request at a time: createSummary(), addToSummary() per request, then
+  // finishSummary(). Only the timing values are kept, for the percentiles
+  createSummary() {
+    return {
+      total_requests: 0,
+      unique_domains: 0,
+      domains: {},
+      methods: {},
+      status_codes: {},
+      content_types: {},
+      protocols: {},
+      total_size: 0,
+      first_timestamp: null,
+      last_timestamp: null,
+      avg_response_time: 0,
+      latency: {},
+      resource_types: {},
+      initiators: {},
+      frames: { main_frame: 0, sub_frame: 0, no_frame: 0 },
+      cache: { from_cache: 0, network: 0 },
+      failures: {
+        total: 0,
+        by_error: {},
+        by_category: {},
+        by_domain: {}
+      },
+      timings: Object.fromEntries(LATENCY_FIELDS.map(field => [field, []]))
+    };
+  }
+
+  addToSummary(summary, request) {
+    summary.total_requests++;
+    summary.domains[request.domain] = (summary.domains[request.domain] || 0) + 1;
+
+    // Count methods
+    summary.methods[request.method] = (summary.methods[request.method] || 0) + 1;
+    
+    // Count status codes
+    summary.status_codes[request.response_code] = (summary.status_codes[request.response_code] || 0) + 1;
+    
+    // Count content types
+    if (request.content_type) {
+      const type = request.content_type.split(';')[0];
+      summary.content_types[type] = (summary.content_types[type] || 0) + 1;
+    }
+    
+    // Count protocols
+    summary.protocols[request.protocol] = (summary.protocols[request.protocol] || 0) + 1;
+
+    summary.total_size += request.content_length || 0;
+    if (request.timestamp) {
+      if (!summary.first_timestamp || request.timestamp < summary.first_timestamp) summary.first_timestamp = request.timestamp;
+      if (!summary.last_timestamp || request.timestamp > summary.last_timestamp) summary.last_timestamp = request.timestamp;
+    }
+    LATENCY_FIELDS.forEach(field => {
+      if (typeof request[field] === 'number') summary.timings[field].push(request[field]);
+    });
+    
+    this.countRequestOrigin(summary, request);
+    
+    // Count failures
+    if (request.error) {
+      const failures = summary.failures;
+      failures.total++;
+      failures.by_error[request.error] = (failures.by_error[request.error] || 0) + 1;
+      failures.by_category[request.error_category] = (failures.by_category[request.error_category] || 0) + 1;
+      failures.by_domain[request.domain] = (failures.by_domain[request.domain] || 0) + 1;
+    }
+  }
+
+  finishSummary(summary) {
+    const { timings, ...result } = summary;
+    result.unique_domains = Object.keys(result.domains).length;
+    result.latency = this.calculateLatencyStats(timings);
+    result.avg_response_time = result.latency.response_time.avg;
+    return result;
+  }
+
+  // Resource type, initiator, frame and cache breakdowns; records from before these fields were
+  // captured are left out
+  countRequestOrigin(summary, request) {
+    if (request.resource_type) {
+      summary.resource_types[request.resource_type] = (summary.resource_types[request.resource_type] || 0) + 1;
+    }
+    if (request.initiator) {
+      summary.initiators[request.initiator] = (summary.initiators[request.initiator] || 0) + 1;
+    }
+    if (typeof request.frame_id === 'number') {
+      // Requests from workers and the browser itself have no frame (-1)
+      summary.frames[request.frame_id === 0 ? 'main_frame' : request.frame_id > 0 ? 'sub_frame' : 'no_frame']++;
+    }
+    if (typeof request.from_cache === 'boolean') {
+      summary.cache[request.from_cache ? 'from_cache' : 'network']++;
+    }
+  }
+
+  countActivity(activity) {
+    const counts = {};
+    Object.keys(ACTIVITY_STORES).forEach(storeName => {
+      counts[storeName] = (activity[storeName] || []).length;
+    });
+    return counts;
+  }
+
+  calculateLatencyStats(timings) {
+    const stats = {};
+    LATENCY_FIELDS.forEach(field => {
+      const values = timings[field].sort((a, b) => a - b);
+      const percentile = (p) => values.length ? this.percentile(values, p) : 0;
+
+      stats[field] = {
+        count: values.length,
+        avg: values.length ? values.reduce((total, value) => total + value, 0) / values.length : 0,
+        p50: percentile(50),
+        p95: percentile(95),
+        p99: percentile(99)
+      };
+    });
+    return stats;
+  }
+
+  // Nearest-rank percentile of sorted, non-empty values
+  percentile(values, p) {
+    return values[Math.min(values.length - 1, Math.ceil(p / 100 * values.length) - 1)];
+  }
+
+  convertToCSV(data) {
+    if (data.length === 0) return '';
+    
+    // Records differ in their optional columns; the header covers all of them
+    const headers = [...new Set(data.flatMap(row => Object.keys(row)))];
+    const cell = value => {
+      const text = value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value ?? '');
+      return `"${text.replace(/"/g, '""')}"`;
+    };
+    const csvContent = [
+      headers.join(','),
+      ...data.map(row => headers.map(header => cell(row[header])).join(','))
+    ].join('\n');
+    
+    return csvContent;
+  }
+
+  async openAnalytics() {
+    try {
+      const url = chrome.runtime.getURL('analytics.html');
+      await chrome.tabs.create({ url: url });
+      return true;
+    } catch (error) {
+      console.error('Error opening analytics:', error);
+      return false;
+    }
+  }
+
+  async getDebugInfo() {
+    try {
+      const data = await this.getAllData();
+      return {
+        isMonitoring: this.isMonitoring,
+        disabledDomains: Array.from(this.disabledDomains),
+        dataCount: data.length,
+        dbInitialized: !!this.db,
+        pendingRequests: this.pendingRequests.size,
+        queuedWrites: this.writeQueue.length,
+        monitoringSession: this.monitoringSession,
+        lastRequestTime: data.length > 0 ? data[data.length - 1].timestamp : null
+      };
+    } catch (error) {
+      return {
+        isMonitoring: this.isMonitoring,
+        disabledDomains: Array.from(this.disabledDomains),
+        dataCount: 0,
+        dbInitialized: !!this.db,
+        error: error.message
+      };
+    }
+  }
+
+  // Response body capture (opt-in per tab, through the chrome.debugger Network domain)
+  // Called at the top level when the debugger permission is already granted, so events that wake
+  // the worker are delivered; otherwise the first enableBodyCapture() registers the listeners
+  setupDebuggerListeners() {
+    if (this.debuggerListenersReady) return;
+
+    chrome.debugger.onEvent.addListener(async (source, method, params) => {
+      await this.ready;
+      this.handleDebuggerEvent(source, method, params);
+    });
+
+    chrome.debugger.onDetach.addListener(async (source, reason) => {
+      await this.ready;
+      this.bodyCaptureTabs.delete(source.tabId);
+      this.saveBodyCaptureTabs();
+      console.log(`Response body capture detached from tab ${source.tabId}: ${reason}`);
+    });
+
+    this.debuggerListenersReady = true;
+  }
+
+  // Debugger sessions outlive the worker; only tabs the debugger is still attached to are restored
+  async loadBodyCaptureTabs() {
+    try {
+      const result = await chrome.storage.session.get(['bodyCaptureTabs']);
+      const tabIds = result.bodyCaptureTabs || [];
+      if (tabIds.length === 0 || !chrome.debugger) return;
+
+      const targets = await chrome.debugger.getTargets();
+      const attached = new Set(targets.filter(target => target.attached && target.tabId !== undefined).map(target => target.tabId));
+      this.bodyCaptureTabs = new Set(tabIds.filter(tabId => attached.has(tabId)));
+      if (this.bodyCaptureTabs.size !== tabIds.length) {
+        await this.saveBodyCaptureTabs();
+      }
+    } catch (error) {
+      console.error('Error loading body capture tabs:', error);
+    }
+  }
+
+  async saveBodyCaptureTabs() {
+    try {
+      await chrome.storage.session.set({ bodyCaptureTabs: Array.from(this.bodyCaptureTabs) });
+    } catch (error) {
+      console.error('Error saving body capture tabs:', error);
+    }
+  }
+
+  async enableBodyCapture(tabId) {
+    if (!chrome.debugger) {
+      throw new Error('The debugger permission has not been granted');
+    }
+    if (this.bodyCaptureTabs.has(tabId)) return;
+
+    this.setupDebuggerListeners();
+    await chrome.debugger.attach({ tabId }, '1.3');
+    await chrome.debugger.sendCommand({ tabId }, 'Network.enable', {});
+    this.bodyCaptureTabs.add(tabId);
+    await this.saveBodyCaptureTabs();
+    console.log(`Response body capture enabled for tab ${tabId}`);
+  }
+
+  async disableBodyCapture(tabId) {
+    if (!this.bodyCaptureTabs.has(tabId)) return;
+
+    this.bodyCaptureTabs.delete(tabId);
+    await this.saveBodyCaptureTabs();
+    try {
+      await chrome.debugger.detach({ tabId });
+    } catch (error) {
+      console.warn('Error detaching debugger:', error);
+    }
+    console.log(`Response body capture disabled for tab ${tabId}`);
+  }
+
+  isBodyCaptureEnabled(tabId) {
+    return this.bodyCaptureTabs.has(tabId);
+  }
+
+  async handleDebuggerEvent(source, method, params) {
+    try {
+      if (method === 'Network.requestWillBeSent') {
+        // Sent again with the same requestId for every redirect hop; the last url is the one webRequest completes
+        this.debuggerRequests.set(params.requestId, {
+          tabId: source.tabId,
+          method: params.request.method,
+          url: params.request.url,
+          mimeType: null
+        });
+      } else if (method === 'Network.responseReceived') {
+        const request = this.debuggerRequests.get(params.requestId);
+        if (request) request.mimeType = params.response.mimeType;
+      } else if (method === 'Network.loadingFinished') {
+        const request = this.debuggerRequests.get(params.requestId);
+        this.debuggerRequests.delete(params.requestId);
+        if (!request || !this.shouldCaptureResponseBody(request.mimeType, params.encodedDataLength)) {
+          return;
+        }
+
+        const result = await chrome.debugger.sendCommand(
+          { tabId: source.tabId },
+          'Network.getResponseBody',
+          { requestId: params.requestId }
+        );
+        const body = result.base64Encoded
+          ? Uint8Array.from(atob(result.body), c => c.charCodeAt(0))
+          : result.body;
+        this.storeResponseBody(this.getResponseBodyKey(request.tabId, request.method, request.url), body);
+      } else if (method === 'Network.loadingFailed') {
+        this.debuggerRequests.delete(params.requestId);
+      }
+    } catch (error) {
+      console.warn('Error handling debugger event:', error);
+    }
+  }
+
+  storeResponseBody(key, body) {
+    const waiters = this.responseBodyWaiters.get(key);
+    if (waiters) {
+      const waiter = waiters.shift();
+      if (waiters.length === 0) this.responseBodyWaiters.delete(key);
+      waiter(body);
+      return;
+    }
+
+    const now = Date.now();
+    const queued = this.responseBodies.get(key) || [];
+    queued.push({ body, expires: now + 30000 });
+    this.responseBodies.set(key, queued);
+
+    // Drop bodies whose webRequest counterpart never asked for them
+    this.responseBodies.forEach((entries, entryKey) => {
+      const live = entries.filter(entry => entry.expires >= now);
+      if (live.length === 0) {
+        this.responseBodies.delete(entryKey);
+      } else if (live.length !== entries.length) {
+        this.responseBodies.set(entryKey, live);
+      }
+    });
+  }
+
+  // Settings functions
+  async loadSettings() {
     try {
-      const data = await this.exportData();
-      
-      // Create a simple text-based archive since JSZip is not available
-      const archiveContent = this.createTextArchive(data);
-      const blob = new Blob([archiveContent], { type: 'text/plain' });
-      const url = URL.createObjectURL(blob);
-      
-      chrome.downloads.download({
-        url: url,
-        filename: `browser_activity_${Date.now()}.txt`
-      });
-      
-      return true;
+      const result = await chrome.storage.local.get(['settings']);
+      this.settings = { ...DEFAULT_SETTINGS, ...(result.settings || {}) };
+      this.applySettingRules();
     } catch (error) {
-      console.error('Error creating archive:', error);
-      return false;
+      console.error('Error loading settings:', error);
     }
   }
 
-  createTextArchive(data) {
-    const timestamp = new Date().toISOString();
-    let content = `Browser Activity Monitor - Data Export\n`;
-    content += `Generated: ${timestamp}\n`;
-    content += `Total Records: ${data.length}\n`;
-    content += `========================================\n\n`;
-    
-    // Add JSON data
-    content += `=== NETWORK_REQUESTS.JSON ===\n`;
-    content += JSON.stringify(data, null, 2);
-    content += `\n\n`;
-    
-    // Add CSV data
-    content += `=== NETWORK_REQUESTS.CSV ===\n`;
-    content += this.convertToCSV(data);
-    content += `\n\n`;
-    
-    // Add summary
-    content += `=== SUMMARY ===\n`;
-    const summary = this.generateSummary(data);
-    content += JSON.stringify(summary, null, 2);
-    
-    return content;
+  async saveSettings() {
+    try {
+      await chrome.storage.local.set({ settings: this.settings });
+    } catch (error) {
+      console.error('Error saving settings:', error);
+    }
   }
 
-  generateSummary(data) {
-    const summary = {
-      total_requests: data.length,
-      unique_domains: new Set(data.map(r => {
-        try {
-          return new URL(r.url).hostname;
-        } catch {
-          return 'unknown';
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  async updateSettings(changes) {
+    // Only known settings are accepted, coerced to the type of their default
+    Object.entries(changes || {}).forEach(([key, value]) => {
+      if (!(key in DEFAULT_SETTINGS)) return;
+      const defaultValue = DEFAULT_SETTINGS[key];
+      if (key === 'redactionRules') {
+        if (Array.isArray(value)) this.settings[key] = Redactor.normalizeRules(value);
+      } else if (key === 'captureAllowRules' || key === 'captureDenyRules') {
+        if (Array.isArray(value)) this.settings[key] = CaptureRules.normalizeRules(value);
+      } else if (key === 'captureResourceTypes') {
+        if (Array.isArray(value)) {
+          const types = value.map(type => String(type).trim().toLowerCase()).filter(type => RESOURCE_TYPES.includes(type));
+          this.settings[key] = Array.from(new Set(types));
         }
-      })).size,
-      methods: {},
-      status_codes: {},
-      content_types: {},
-      protocols: {}
-    };
-    
-    data.forEach(request => {
-      // Count methods
-      summary.methods[request.method] = (summary.methods[request.method] || 0) + 1;
-      
-      // Count status codes
-      summary.status_codes[request.response_code] = (summary.status_codes[request.response_code] || 0) + 1;
-      
-      // Count content types
-      if (request.content_type) {
-        const type = request.content_type.split(';')[0];
-        summary.content_types[type] = (summary.content_types[type] || 0) + 1;
+      } else if (key === 'captureMode') {
+        this.settings[key] = CaptureRules.normalizeMode(value);
+      } else if (typeof defaultValue === 'number') {
+        const number = Number(value);
+        if (Number.isFinite(number) && number >= 0) this.settings[key] = number;
+      } else if (typeof defaultValue === 'boolean') {
+        this.settings[key] = !!value;
+      } else if (Array.isArray(defaultValue)) {
+        if (Array.isArray(value)) this.settings[key] = value.map(item => String(item).trim()).filter(Boolean);
+      } else if (typeof defaultValue === 'object') {
+        if (value && typeof value === 'object') this.settings[key] = this.normalizeDomainOverrides(value);
+      } else {
+        this.settings[key] = value;
       }
-      
-      // Count protocols
-      summary.protocols[request.protocol] = (summary.protocols[request.protocol] || 0) + 1;
     });
-    
-    return summary;
+    this.applySettingRules();
+    await this.saveSettings();
+    this.updateAllBadges();
+    console.log('Settings updated:', this.settings);
+    return this.getSettings();
   }
 
-  convertToCSV(data) {
-    if (data.length === 0) return '';
-    
-    const headers = Object.keys(data[0]);
-    const csvContent = [
-      headers.join(','),
-      ...data.map(row => headers.map(header => `"${row[header] || ''}"`).join(','))
-    ].join('\n');
-    
-    return csvContent;
+  applySettingRules() {
+    this.redactor.setRules(this.settings.redactionRules);
+    this.captureRules.setRules(this.settings.captureMode, this.settings.captureAllowRules, this.settings.captureDenyRules);
   }
 
-  async openAnalytics() {
-    try {
-      const url = chrome.runtime.getURL('analytics.html');
-      await chrome.tabs.create({ url: url });
-      return true;
-    } catch (error) {
-      console.error('Error opening analytics:', error);
-      return false;
+  normalizeDomainOverrides(overrides) {
+    const normalized = {};
+    Object.entries(overrides).forEach(([domain, limits]) => {
+      domain = domain.trim().toLowerCase();
+      if (!domain || !limits) return;
+
+      const maxAgeDays = Number(limits.maxAgeDays);
+      const maxRecords = Number(limits.maxRecords);
+      normalized[domain] = {
+        maxAgeDays: Number.isFinite(maxAgeDays) && maxAgeDays >= 0 ? maxAgeDays : 0,
+        maxRecords: Number.isFinite(maxRecords) && maxRecords >= 0 ? Math.floor(maxRecords) : 0
+      };
+    });
+    return normalized;
+  }
+
+  // Retention
+  // The onAlarm listener itself is registered at the top level, so alarms that wake the worker are delivered
+  async setupRetentionAlarm() {
+    // Re-creating the alarm would restart its period, and the worker restarts far more often than hourly
+    const existing = await chrome.alarms.get(PRUNE_ALARM);
+    if (!existing) {
+      chrome.alarms.create(PRUNE_ALARM, { delayInMinutes: 1, periodInMinutes: PRUNE_INTERVAL_MINUTES });
     }
   }
 
-  async getDebugInfo() {
-    try {
-      const data = await this.getAllData();
-      return {
-        isMonitoring: this.isMonitoring,
-        disabledDomains: Array.from(this.disabledDomains),
-        dataCount: data.length,
-        dbInitialized: !!this.db,
-        lastRequestTime: data.length > 0 ? data[data.length - 1].timestamp : null
-      };
-    } catch (error) {
-      return {
-        isMonitoring: this.isMonitoring,
-        disabledDomains: Array.from(this.disabledDomains),
-        dataCount: 0,
-        dbInitialized: !!this.db,
-        error: error.message
-      };
+  // In-flight requests whose completion never arrived are stored as incomplete; the alarm also
+  // refreshes the saved last-active time, which dates the gap if the worker is killed
+  async setupEvictionAlarm() {
+    const existing = await chrome.alarms.get(EVICT_ALARM);
+    if (!existing) {
+      chrome.alarms.create(EVICT_ALARM, { periodInMinutes: EVICT_INTERVAL_MINUTES });
     }
   }
 
-  saveToLocalStorageBackup(data) {
+  handleAlarm(alarm) {
+    switch (alarm.name) {
+      case PRUNE_ALARM:
+        return this.pruneRecords();
+      case EVICT_ALARM:
+        this.evictStaleRequests();
+        this.scheduleStateSave();
+        return null;
+      default:
+        return null;
+    }
+  }
+
+  async pruneRecords() {
+    if (!this.db) return null;
+
+    const removed = { byAge: 0, byDomain: 0, byLimit: 0, activity: 0 };
     try {
-      // Get existing data from localStorage
-      const existingData = JSON.parse(localStorage.getItem('browserActivityData') || '[]');
-      existingData.push(data);
-      
-      // Keep only last 1000 records to avoid localStorage size limits
-      if (existingData.length > 1000) {
-        existingData.splice(0, existingData.length - 1000);
+      await this.settleWrites();
+
+      const overrides = this.settings.retentionDomainOverrides || {};
+      const globalAge = this.settings.retentionMaxAgeDays;
+
+      // Domains with an override follow their own age limit instead of the global one
+      if (globalAge > 0) {
+        const cutoff = this.retentionCutoff(globalAge);
+        removed.byAge = await this.deleteRecords(
+          store => store.index('timestamp').openCursor(IDBKeyRange.upperBound(cutoff, true)),
+          record => !overrides[record.domain]
+        );
+
+        // Content-script events follow the global age limit
+        for (const storeName of Object.keys(ACTIVITY_STORES)) {
+          removed.activity += await this.deleteRecords(
+            store => store.index('timestamp').openCursor(IDBKeyRange.upperBound(cutoff, true)),
+            () => true,
+            storeName
+          );
+        }
       }
-      
-      localStorage.setItem('browserActivityData', JSON.stringify(existingData));
+
+      for (const [domain, limits] of Object.entries(overrides)) {
+        if (limits.maxAgeDays > 0) {
+          const cutoff = this.retentionCutoff(limits.maxAgeDays);
+          removed.byDomain += await this.deleteRecords(
+            store => store.index('domain_timestamp').openCursor(IDBKeyRange.bound([domain, ''], [domain, cutoff], false, true)),
+            () => true
+          );
+        }
+
+        if (limits.maxRecords > 0) {
+          let kept = 0;
+          removed.byDomain += await this.deleteRecords(
+            store => store.index('domain_timestamp').openCursor(IDBKeyRange.bound([domain, ''], [domain, '\uffff']), 'prev'),
+            () => ++kept > limits.maxRecords
+          );
+        }
+      }
+
+      // Walk newest to oldest; everything past the count or size budget goes. The walk is skipped
+      // while the count and the running size estimate are within budget
+      const { retentionMaxRecords: maxRecords, retentionMaxBytes: maxBytes } = this.settings;
+      const overCount = maxRecords > 0 && await this.countRecords() > maxRecords;
+      const overSize = maxBytes > 0 && (this.storedBytes === null || this.storedBytes > maxBytes);
+      if (overCount || overSize) {
+        let kept = 0;
+        let bytes = 0;
+        let keptBytes = 0;
+        removed.byLimit = await this.deleteRecords(
+          store => store.index('timestamp').openCursor(null, 'prev'),
+          (record) => {
+            const size = this.estimateRecordSize(record);
+            kept++;
+            bytes += size;
+            const over = (maxRecords > 0 && kept > maxRecords) || (maxBytes > 0 && bytes > maxBytes);
+            if (!over) keptBytes += size;
+            return over;
+          }
+        );
+        // The walk visited every record, so the estimate starts over from what it kept
+        this.storedBytes = keptBytes;
+        this.scheduleStateSave();
+      }
+
+      const total = removed.byAge + removed.byDomain + removed.byLimit + removed.activity;
+      if (total > 0) {
+        console.log(`Pruned ${total} records:`, removed);
+      }
+      return removed;
     } catch (error) {
-      console.warn('Error saving to localStorage backup:', error);
+      console.error('Error pruning records:', error);
+      return null;
+    }
+  }
+
+  // Deletes every record the cursor visits for which shouldDelete() returns true
+  deleteRecords(openCursor, shouldDelete, storeName = 'network_requests') {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([storeName], 'readwrite');
+      const request = openCursor(transaction.objectStore(storeName));
+      let deleted = 0;
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+
+        if (shouldDelete(cursor.value)) {
+          cursor.delete();
+          deleted++;
+          if (storeName === 'network_requests' && this.storedBytes !== null) {
+            this.storedBytes = Math.max(this.storedBytes - this.estimateRecordSize(cursor.value), 0);
+          }
+        }
+        cursor.continue();
+      };
+
+      transaction.oncomplete = () => resolve(deleted);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  retentionCutoff(days) {
+    return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  // UTF-16 length of the text plus 8 bytes per other value; close enough to what IndexedDB stores
+  // on disk, and cheap enough to run on every write without serializing the record
+  estimateRecordSize(record) {
+    let size = 0;
+    for (const value of Object.values(record)) {
+      if (typeof value === 'string') {
+        size += value.length * 2;
+      } else if (value && typeof value === 'object') {
+        size += this.estimateRecordSize(value); // e.g. the sealed { iv, data } of encrypted records
+      } else {
+        size += 8;
+      }
     }
+    return size;
   }
 
   // Domain management functions
@@ -608,27 +3014,32 @@ class BrowserActivityMonitor {
     return Array.from(this.disabledDomains);
   }
 
+  // A disabled domain also covers its subdomains: disabling google.com skips mail.google.com
   isDomainDisabled(domain) {
-    return this.disabledDomains.has(domain);
+    for (let name = domain; name; name = name.slice(name.indexOf('.') + 1)) {
+      if (this.disabledDomains.has(name)) return true;
+      if (!name.includes('.')) break;
+    }
+    return false;
+  }
+
+  // type is only known for network requests; page activity is never filtered by resource type
+  shouldCapture(url, type = null) {
+    const types = this.settings.captureResourceTypes;
+    if (type && types.length > 0 && !types.includes(type)) return false;
+    return !this.isDomainDisabled(this.extractDomain(url)) && this.captureRules.shouldCapture(url, type);
   }
 
   // SQLite database functions for persistent storage
   async exportToSQLite() {
     try {
+      this.assertUnlocked();
       const data = await this.getAllData();
-      const csvContent = this.convertToCSV(data);
+      const activity = await this.getActivityData();
       
-      // Create SQLite database content
-      const sqliteContent = this.createSQLiteDatabase(data);
-      
-      // Download as .db file
-      const blob = new Blob([sqliteContent], { type: 'application/octet-stream' });
-      const url = URL.createObjectURL(blob);
-      
-      chrome.downloads.download({
-        url: url,
-        filename: `browser_activity_${Date.now()}.db`
-      });
+      // Build a real SQLite database file
+      const blob = this.createSQLiteDatabase(data, activity);
+      await this.downloadBlob(blob, `browser_activity_${Date.now()}.db`);
       
       return true;
     } catch (error) {
@@ -637,132 +3048,566 @@ class BrowserActivityMonitor {
     }
   }
 
-  createSQLiteDatabase(data) {
-    // Create a simple SQLite database structure
-    let sqliteContent = '';
-    
-    // SQLite header
-    sqliteContent += 'SQLite format 3\x00';
-    
-    // Create table SQL
-    const createTableSQL = `
-      CREATE TABLE IF NOT EXISTS network_requests (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        timestamp TEXT,
-        method TEXT,
-        protocol TEXT,
-        port INTEGER,
-        url TEXT,
-        filename TEXT,
-        domain TEXT,
-        user_agent TEXT,
-        referer TEXT,
-        origin TEXT,
-        cookie TEXT,
-        vary TEXT,
-        x_forwarded_for TEXT,
-        content_type TEXT,
-        response_code INTEGER,
-        response_message TEXT,
-        date TEXT,
-        server TEXT,
-        content_length INTEGER,
-        location TEXT,
-        response_preview TEXT,
-        response_checksum TEXT,
-        tab_id INTEGER,
-        window_id INTEGER,
-        request_headers TEXT,
-        response_headers TEXT
-      );
-    `;
-    
-    // For simplicity, we'll create a text-based database
-    // In a real implementation, you'd use a proper SQLite library
-    sqliteContent += createTableSQL;
+  createSQLiteDatabase(data, activity = {}) {
+    const toRows = (records, columns) => records.map(record =>
+      columns.map(column => this.toSQLiteValue(record[column.name], column.type))
+    );
+
+    const writer = new SQLiteWriter();
+    writer.createTable('network_requests', SQLITE_COLUMNS, toRows(data, SQLITE_COLUMNS));
+    writer.createIndex('idx_network_requests_timestamp', 'network_requests', ['timestamp']);
+    writer.createIndex('idx_network_requests_domain', 'network_requests', ['domain']);
+    writer.createIndex('idx_network_requests_url', 'network_requests', ['url']);
+
+    Object.entries(ACTIVITY_STORES).forEach(([storeName, columns]) => {
+      writer.createTable(storeName, columns, toRows(activity[storeName] || [], columns));
+      writer.createIndex(`idx_${storeName}_timestamp`, storeName, ['timestamp']);
+      writer.createIndex(`idx_${storeName}_tab_id`, storeName, ['tab_id']);
+    });
     
-    // Add data as INSERT statements
-    data.forEach(record => {
-      const insertSQL = `
-        INSERT INTO network_requests (
-          timestamp, method, protocol, port, url, filename, domain,
-          user_agent, referer, origin, cookie, vary, x_forwarded_for,
-          content_type, response_code, response_message, date, server,
-          content_length, location, response_preview, response_checksum,
-          tab_id, window_id, request_headers, response_headers
-        ) VALUES (
-          '${record.timestamp}', '${record.method}', '${record.protocol}', ${record.port || 'NULL'},
-          '${record.url}', '${record.filename}', '${record.domain}',
-          '${record.user_agent || ''}', '${record.referer || ''}', '${record.origin || ''}',
-          '${record.cookie || ''}', '${record.vary || ''}', '${record.x_forwarded_for || ''}',
-          '${record.content_type || ''}', ${record.response_code || 'NULL'}, '${record.response_message || ''}',
-          '${record.date || ''}', '${record.server || ''}', ${record.content_length || 'NULL'},
-          '${record.location || ''}', '${record.response_preview || ''}', '${record.response_checksum || ''}',
-          ${record.tab_id || 'NULL'}, ${record.window_id || 'NULL'},
-          '${record.request_headers || ''}', '${record.response_headers || ''}'
+    return writer.toBlob();
+  }
+
+  toSQLiteValue(value, type) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    if (type === 'INTEGER' || type === 'REAL') {
+      const number = Number(value);
+      if (!Number.isFinite(number)) return null;
+      return type === 'INTEGER' ? Math.trunc(number) : number;
+    }
+
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+
+  async downloadBlob(blob, filename) {
+    let url;
+    if (typeof URL.createObjectURL === 'function') {
+      url = URL.createObjectURL(blob);
+    } else {
+      // Service workers cannot create object URLs, so hand the file over as a data URL
+      const bytes = new Uint8Array(await blob.arrayBuffer());
+      url = `data:${blob.type || 'application/octet-stream'};base64,${this.toBase64(bytes)}`;
+    }
+
+    await chrome.downloads.download({
+      url: url,
+      filename: filename
+    });
+  }
+
+  // HAR export functions
+  async exportToHAR() {
+    try {
+      this.assertUnlocked();
+      const data = await this.getAllData();
+      const activity = await this.getActivityData();
+      const har = this.createHAR(data, activity);
+      const blob = new Blob([JSON.stringify(har, null, 2)], { type: 'application/json' });
+      await this.downloadBlob(blob, `browser_activity_${Date.now()}.har`);
+      return true;
+    } catch (error) {
+      console.error('Error exporting to HAR:', error);
+      return false;
+    }
+  }
+
+  createHAR(data, activity = {}) {
+    const records = [...data].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const pageViews = activity.page_views || [];
+    const currentPages = new Map(); // tab_id -> page, for requests recorded without a page load
+    const entries = [];
+
+    // Recorded page loads are the pages, with their own title and load timings
+    const sessionPages = new Map();
+    (activity.page_sessions || []).forEach(session => {
+      sessionPages.set(session.id, {
+        startedDateTime: session.started_at || session.timestamp,
+        id: `page_${session.id}`,
+        title: session.title || session.url,
+        pageTimings: {
+          onContentLoad: typeof session.dom_content_loaded === 'number' ? session.dom_content_loaded : -1,
+          onLoad: typeof session.load_duration === 'number' ? session.load_duration : -1
+        },
+        _tabId: session.tab_id
+      });
+    });
+    const pages = Array.from(sessionPages.values());
+
+    records.forEach(record => {
+      const tabId = record.tab_id;
+      let page = sessionPages.get(record.page_session_id);
+      if (page) {
+        currentPages.set(tabId, page);
+      } else {
+        page = currentPages.get(tabId);
+
+        // Records from before page loads were recorded: every top-level document load starts a new page for its tab
+        if (!page || this.isNavigationRecord(record)) {
+          page = {
+            startedDateTime: record.timestamp,
+            id: `page_${pages.length + 1}`,
+            title: this.findPageTitle(pageViews, tabId, record) || record.url,
+            pageTimings: { onContentLoad: -1, onLoad: -1 },
+            _tabId: tabId
+          };
+          pages.push(page);
+          currentPages.set(tabId, page);
+        }
+      }
+
+      // Each redirect hop becomes its own entry, as browsers record them
+      this.parseRedirectChain(record.redirect_chain).forEach(hop => {
+        entries.push(this.createHARRedirectEntry(record, hop, page.id));
+      });
+      entries.push(this.createHAREntry(record, page.id));
+    });
+
+    pages.sort((a, b) => new Date(a.startedDateTime) - new Date(b.startedDateTime));
+    return {
+      log: {
+        version: '1.2',
+        creator: {
+          name: 'Browser Activity Monitor',
+          version: chrome.runtime.getManifest().version
+        },
+        pages: pages,
+        entries: entries,
+        // Custom field (HAR allows "_" extensions): page activity reported by the content script
+        _activity: activity
+      }
+    };
+  }
+
+  findPageTitle(pageViews, tabId, record) {
+    // The page view reported for the same tab and URL, closest in time to the navigation
+    const navigatedAt = new Date(record.timestamp).getTime();
+    let best = null;
+    pageViews.forEach(view => {
+      if (view.tab_id !== tabId || view.url !== record.url || !view.title) return;
+      const distance = Math.abs(new Date(view.timestamp).getTime() - navigatedAt);
+      if (!best || distance < best.distance) {
+        best = { title: view.title, distance };
+      }
+    });
+    return best ? best.title : null;
+  }
+
+  isNavigationRecord(record) {
+    if (record.resource_type) {
+      return record.resource_type === 'main_frame';
+    }
+    return (record.content_type || '').toLowerCase().startsWith('text/html');
+  }
+
+  createHAREntry(record, pageref) {
+    const requestHeaders = this.parseHeaderList(record.request_headers);
+    const responseHeaders = this.parseHeaderList(record.response_headers);
+    const statusLine = record.response_message || '';
+    const httpVersion = (statusLine.match(/^(HTTP\/[\d.]+)/) || [])[1] || 'HTTP/1.1';
+    const timings = this.createHARTimings(record);
+
+    let queryString = [];
+    try {
+      queryString = Array.from(new URL(record.url).searchParams, ([name, value]) => ({ name, value }));
+    } catch {
+      queryString = [];
+    }
+
+    const cookieHeader = record.cookie || this.getHeaderValue(requestHeaders, 'cookie');
+    const setCookies = responseHeaders
+      .filter(header => header.name.toLowerCase() === 'set-cookie')
+      .flatMap(header => header.value.split('\n'));
+
+    return {
+      pageref: pageref,
+      startedDateTime: record.timestamp,
+      time: typeof record.response_time === 'number'
+        ? record.response_time
+        : Object.values(timings).filter(value => value > 0).reduce((total, value) => total + value, 0),
+      request: {
+        method: record.method,
+        url: record.url,
+        httpVersion: httpVersion,
+        cookies: this.parseCookieHeader(cookieHeader),
+        headers: requestHeaders,
+        queryString: queryString,
+        ...this.createHARPostData(record, requestHeaders),
+        headersSize: -1,
+        bodySize: typeof record.request_body_size === 'number' ? record.request_body_size : -1
+      },
+      response: {
+        status: record.response_code || 0,
+        statusText: statusLine.replace(/^HTTP\/[\d.]+\s+\d+\s*/, ''),
+        httpVersion: httpVersion,
+        cookies: setCookies.map(value => this.parseSetCookie(value)),
+        headers: responseHeaders,
+        content: {
+          size: record.content_length || 0,
+          mimeType: record.content_type || 'x-unknown'
+        },
+        redirectURL: record.location || '',
+        headersSize: -1,
+        bodySize: record.content_length || -1,
+        ...(record.error ? { _error: record.error } : {})
+      },
+      cache: {},
+      timings: timings,
+      ...(record.ip ? { serverIPAddress: record.ip } : {}),
+      ...(record.resource_type ? { _resourceType: record.resource_type } : {})
+    };
+  }
+
+  createHARPostData(record, requestHeaders) {
+    if (record.request_body === undefined || record.request_body === null) {
+      return {};
+    }
+
+    const mimeType = this.getHeaderValue(requestHeaders, 'content-type') ||
+      (record.request_body_type === 'form' ? 'application/x-www-form-urlencoded' : 'application/octet-stream');
+    const postData = { mimeType: mimeType, text: record.request_body };
+
+    if (record.request_body_type === 'form') {
+      try {
+        const formData = JSON.parse(record.request_body);
+        postData.params = Object.entries(formData).flatMap(([name, values]) =>
+          values.map(value => ({ name, value: String(value) }))
         );
-      `;
-      sqliteContent += insertSQL;
+        postData.text = postData.params
+          .map(param => `${encodeURIComponent(param.name)}=${encodeURIComponent(param.value)}`)
+          .join('&');
+      } catch {
+        // Truncated form data stays as captured
+      }
+    }
+
+    return { postData };
+  }
+
+  createHARRedirectEntry(record, hop, pageref) {
+    const httpVersion = (hop.status_line.match(/^(HTTP\/[\d.]+)/) || [])[1] || 'HTTP/1.1';
+    const duration = typeof hop.duration === 'number' ? hop.duration : 0;
+
+    return {
+      pageref: pageref,
+      startedDateTime: hop.timestamp,
+      time: duration,
+      request: {
+        method: record.method,
+        url: hop.url,
+        httpVersion: httpVersion,
+        cookies: [],
+        headers: [],
+        queryString: [],
+        headersSize: -1,
+        bodySize: -1
+      },
+      response: {
+        status: hop.status_code,
+        statusText: hop.status_line.replace(/^HTTP\/[\d.]+\s+\d+\s*/, ''),
+        httpVersion: httpVersion,
+        cookies: [],
+        headers: [{ name: 'Location', value: hop.redirect_url }],
+        content: { size: 0, mimeType: 'x-unknown' },
+        redirectURL: hop.redirect_url,
+        headersSize: -1,
+        bodySize: -1
+      },
+      cache: {},
+      timings: { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: duration, receive: 0 }
+    };
+  }
+
+  parseRedirectChain(redirectChain) {
+    try {
+      return typeof redirectChain === 'string' ? JSON.parse(redirectChain || '[]') : (redirectChain || []);
+    } catch {
+      return [];
+    }
+  }
+
+  createHARTimings(record) {
+    const value = (timing, fallback) => typeof timing === 'number' ? timing : fallback;
+    return {
+      blocked: value(record.timing_queue, -1),
+      dns: -1,
+      connect: -1,
+      ssl: -1,
+      send: value(record.timing_send, 0),
+      wait: value(record.timing_ttfb, 0),
+      receive: value(record.timing_download, 0)
+    };
+  }
+
+  parseHeaderList(headers) {
+    try {
+      const list = typeof headers === 'string' ? JSON.parse(headers || '[]') : headers;
+      return (list || [])
+        .filter(header => header && header.name)
+        .map(header => ({ name: header.name, value: String(header.value || '') }));
+    } catch {
+      return [];
+    }
+  }
+
+  parseCookieHeader(cookieHeader) {
+    if (!cookieHeader) return [];
+    return cookieHeader.split(';')
+      .map(pair => pair.trim())
+      .filter(Boolean)
+      .map(pair => {
+        const separator = pair.indexOf('=');
+        return separator < 0
+          ? { name: pair, value: '' }
+          : { name: pair.substring(0, separator), value: pair.substring(separator + 1) };
+      });
+  }
+
+  parseSetCookie(setCookie) {
+    const [pair, ...attributes] = setCookie.split(';').map(part => part.trim());
+    const cookie = this.parseCookieHeader(pair)[0] || { name: '', value: '' };
+
+    attributes.forEach(attribute => {
+      const separator = attribute.indexOf('=');
+      const key = (separator < 0 ? attribute : attribute.substring(0, separator)).toLowerCase();
+      const value = separator < 0 ? '' : attribute.substring(separator + 1);
+
+      if (key === 'path') cookie.path = value;
+      if (key === 'domain') cookie.domain = value;
+      if (key === 'expires') {
+        const expires = new Date(value);
+        if (!isNaN(expires)) cookie.expires = expires.toISOString();
+      }
+      if (key === 'httponly') cookie.httpOnly = true;
+      if (key === 'secure') cookie.secure = true;
+      if (key === 'samesite') cookie.sameSite = value;
     });
-    
-    return sqliteContent;
+
+    return cookie;
   }
 }
 
 // Initialize the monitor
 const monitor = new BrowserActivityMonitor();
+monitor.setupEventListeners();
+
+// Registered at the top level so an alarm that wakes the worker is delivered; handled once init is done
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  await monitor.ready;
+  monitor.handleAlarm(alarm);
+});
 
-// Listen for messages from popup and content scripts
+// debugger is optional; once granted, its listeners must also be registered at the top level
+if (chrome.debugger) {
+  monitor.setupDebuggerListeners();
+}
+
+// Open popups receive live stats over a long-lived port
+chrome.runtime.onConnect.addListener(async (port) => {
+  if (port.name === 'stats') {
+    await monitor.ready;
+    monitor.addStatsPort(port);
+  }
+});
+
+// Listen for messages from popup and content scripts; every action waits for init so it sees the restored state
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  monitor.ready.then(() => handleMessage(request, sender, sendResponse));
+  return true; // Keeps the channel open for the asynchronous sendResponse
+});
+
+function handleMessage(request, sender, sendResponse) {
   switch (request.action) {
     case 'startMonitoring':
-      monitor.startMonitoring();
-      sendResponse({ success: true });
+      monitor.startMonitoring().then(() => {
+        sendResponse({ success: true, state: monitor.getMonitoringState() });
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message });
+      });
       break;
     case 'stopMonitoring':
-      monitor.stopMonitoring();
+      monitor.stopMonitoring().then(() => {
+        sendResponse({ success: true, state: monitor.getMonitoringState() });
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message });
+      });
+      break;
+    case 'getStats':
+      sendResponse({ success: true, stats: monitor.getStatsSnapshot() });
+      break;
+    case 'resetStats':
+      monitor.resetStats();
       sendResponse({ success: true });
       break;
+    case 'getMonitoringState':
+      sendResponse({ success: true, state: monitor.getMonitoringState() });
+      break;
     case 'exportData':
-      monitor.exportData().then(data => {
-        sendResponse({ success: true, data });
+      if (monitor.cipher.isLocked()) {
+        sendResponse({ success: false, locked: true, error: 'Unlock encrypted data before exporting' });
+        break;
+      }
+      Promise.all([
+        monitor.exportData(),
+        request.includeActivity ? monitor.getActivityData() : null
+      ]).then(([data, activity]) => {
+        sendResponse({ success: true, data, activity, encrypted: monitor.cipher.isEnabled() });
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message });
       });
       break;
     case 'createZip':
       monitor.createZipArchive().then(success => {
         sendResponse({ success });
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message });
       });
       break;
     case 'openAnalytics':
       monitor.openAnalytics().then(success => {
         sendResponse({ success });
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message });
       });
       break;
     case 'disableDomain':
       monitor.disableDomain(request.domain).then(() => {
         sendResponse({ success: true });
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message });
       });
       break;
     case 'enableDomain':
       monitor.enableDomain(request.domain).then(() => {
         sendResponse({ success: true });
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message });
       });
       break;
     case 'getDisabledDomains':
       sendResponse({ success: true, domains: monitor.getDisabledDomains() });
       break;
+    case 'enableBodyCapture':
+      monitor.enableBodyCapture(request.tabId).then(() => {
+        sendResponse({ success: true });
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message });
+      });
+      break;
+    case 'disableBodyCapture':
+      monitor.disableBodyCapture(request.tabId).then(() => {
+        sendResponse({ success: true });
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message });
+      });
+      break;
+    case 'getBodyCaptureState':
+      sendResponse({ success: true, enabled: monitor.isBodyCaptureEnabled(request.tabId) });
+      break;
+    case 'getSettings':
+      sendResponse({ success: true, settings: monitor.getSettings() });
+      break;
+    case 'updateSettings':
+      monitor.updateSettings(request.settings).then(settings => {
+        sendResponse({ success: true, settings });
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message });
+      });
+      break;
+    case 'pruneData':
+      monitor.pruneRecords().then(removed => {
+        sendResponse({ success: !!removed, removed });
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message });
+      });
+      break;
+    case 'getRecordingState':
+      monitor.getRecordingState(request.tabId).then(recording => {
+        sendResponse({ success: true, recording });
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message });
+      });
+      break;
+    case 'armTab':
+      monitor.armTab(request.tabId, request.armed).then(() => {
+        sendResponse({ success: true });
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message });
+      });
+      break;
+    case 'armWindow':
+      monitor.armWindow(request.windowId, request.armed).then(() => {
+        sendResponse({ success: true });
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message });
+      });
+      break;
+    case 'clearArming':
+      monitor.clearArming().then(() => {
+        sendResponse({ success: true });
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message });
+      });
+      break;
+    case 'queryRequests':
+      monitor.queryRequests(request.query).then(result => {
+        sendResponse({ success: true, ...result });
+      }).catch(error => {
+        sendResponse({ success: false, locked: monitor.cipher.isLocked(), error: error.message });
+      });
+      break;
+    case 'getPageSessions':
+      monitor.getActivityData(['page_sessions']).then(activity => {
+        sendResponse({ success: true, sessions: activity.page_sessions });
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message });
+      });
+      break;
+    case 'getEncryptionState':
+      sendResponse({ success: true, encryption: monitor.getEncryptionState() });
+      break;
+    case 'enableEncryption':
+    case 'unlockEncryption':
+    case 'lockEncryption':
+    case 'disableEncryption':
+      monitor[request.action](request.passphrase).then(() => {
+        sendResponse({ success: true, encryption: monitor.getEncryptionState() });
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message, encryption: monitor.getEncryptionState() });
+      });
+      break;
+    case 'exportEncrypted':
+      monitor.exportEncryptedBundle().then(success => {
+        sendResponse({ success });
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message });
+      });
+      break;
     case 'exportToSQLite':
       monitor.exportToSQLite().then(success => {
         sendResponse({ success });
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message });
+      });
+      break;
+    case 'exportToHAR':
+      monitor.exportToHAR().then(success => {
+        sendResponse({ success });
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message });
       });
       break;
     case 'debugInfo':
       monitor.getDebugInfo().then(info => {
         sendResponse({ success: true, info });
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message });
       });
       break;
     case 'pageInfo':
-      monitor.handlePageInfo(request.data, sender.tab);
+      monitor.handlePageInfo(request.data, sender.tab, sender.documentId);
       sendResponse({ success: true });
       break;
     case 'formSubmission':
@@ -788,4 +3633,4 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     default:
       sendResponse({ success: false, error: 'Unknown action' });
   }
-});
\ No newline at end of file
+}
\ No newline at end of file
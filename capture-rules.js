@@ -0,0 +1,94 @@
+// Capture rules deciding which requests and page events are recorded
+// In denylist mode everything is recorded except what a deny rule matches; in allowlist mode only
+// what an allow rule matches is recorded. Deny rules win in both modes.
+const CAPTURE_MODES = ['denylist', 'allowlist'];
+
+// webRequest resource types, see chrome.webRequest.ResourceType
+const RESOURCE_TYPES = [
+  'main_frame', 'sub_frame', 'stylesheet', 'script', 'image', 'font', 'object', 'xmlhttprequest',
+  'ping', 'csp_report', 'media', 'websocket', 'webbundle', 'other'
+];
+
+class CaptureRules {
+  constructor(mode = 'denylist', allowRules = [], denyRules = []) {
+    this.setRules(mode, allowRules, denyRules);
+  }
+
+  // A rule matches when every condition it sets matches:
+  // { host: 'example.com' | '*.example.com', path: '/api', regex: '^https://...', types: ['image'], schemes: ['http'] }
+  static normalizeRules(rules) {
+    const list = value => [].concat(value || []).map(item => String(item).trim().toLowerCase()).filter(Boolean);
+
+    return (rules || []).map(rule => ({
+      host: String(rule.host || '').trim().toLowerCase(),
+      path: String(rule.path || '').trim(),
+      regex: String(rule.regex || '').trim(),
+      types: list(rule.types),
+      schemes: list(rule.schemes).map(scheme => scheme.replace(/:$/, ''))
+    })).filter(rule =>
+      (rule.host || rule.path || rule.regex || rule.types.length > 0 || rule.schemes.length > 0) &&
+      rule.types.every(type => RESOURCE_TYPES.includes(type)) &&
+      (!rule.regex || CaptureRules.isValidPattern(rule.regex))
+    );
+  }
+
+  static isValidPattern(pattern) {
+    try {
+      new RegExp(pattern);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  static normalizeMode(mode) {
+    return CAPTURE_MODES.includes(mode) ? mode : 'denylist';
+  }
+
+  setRules(mode, allowRules, denyRules) {
+    this.mode = CaptureRules.normalizeMode(mode);
+    this.allowRules = CaptureRules.normalizeRules(allowRules).map(rule => this.compile(rule));
+    this.denyRules = CaptureRules.normalizeRules(denyRules).map(rule => this.compile(rule));
+  }
+
+  compile(rule) {
+    const compiled = { ...rule, regex: rule.regex ? new RegExp(rule.regex, 'i') : null };
+    if (rule.host.startsWith('*.')) {
+      compiled.hostSuffix = rule.host.slice(1);
+      compiled.host = rule.host.slice(2);
+    }
+    return compiled;
+  }
+
+  // type is the webRequest resource type; page events have none and only match rules without types
+  shouldCapture(url, type = null) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      parsed = null;
+    }
+
+    if (this.denyRules.some(rule => this.matches(rule, url, parsed, type))) return false;
+    if (this.mode === 'allowlist') {
+      return this.allowRules.some(rule => this.matches(rule, url, parsed, type));
+    }
+    return true;
+  }
+
+  matches(rule, url, parsed, type) {
+    if (rule.types.length > 0 && !rule.types.includes(type)) return false;
+    if (rule.regex && !rule.regex.test(url)) return false;
+    if (!parsed) return !rule.host && !rule.path && rule.schemes.length === 0;
+
+    if (rule.schemes.length > 0 && !rule.schemes.includes(parsed.protocol.replace(/:$/, ''))) return false;
+    if (rule.host) {
+      // *.example.com covers example.com itself and every subdomain
+      const hostname = parsed.hostname;
+      const hostMatches = hostname === rule.host || (rule.hostSuffix && hostname.endsWith(rule.hostSuffix));
+      if (!hostMatches) return false;
+    }
+    if (rule.path && !parsed.pathname.startsWith(rule.path)) return false;
+    return true;
+  }
+}
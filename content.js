@@ -5,8 +5,12 @@ class ContentScriptMonitor {
   }
 
   init() {
-    // Capture page load information
-    this.capturePageInfo();
+    // Capture page load information once the title has been parsed
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.capturePageInfo(), { once: true });
+    } else {
+      this.capturePageInfo();
+    }
     
     // Monitor form submissions
     this.monitorFormSubmissions();
@@ -109,12 +113,17 @@ class ContentScriptMonitor {
       });
     });
 
-    // Monitor key presses
+    // Monitor key presses: only that a key was pressed and with which modifiers, never which key,
+    // and nothing at all while the user is typing into a field
     document.addEventListener('keydown', (event) => {
+      if (this.isEditableTarget(event.target)) return;
+
       const keyData = {
         type: 'keydown',
-        key: event.key,
-        code: event.code,
+        target: {
+          tagName: event.target.tagName,
+          id: event.target.id
+        },
         ctrlKey: event.ctrlKey,
         shiftKey: event.shiftKey,
         altKey: event.altKey,
@@ -129,6 +138,11 @@ class ContentScriptMonitor {
     });
   }
 
+  isEditableTarget(target) {
+    if (!target) return false;
+    return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+  }
+
   monitorConsoleLogs() {
     // Override console methods to capture logs
     const originalLog = console.log;
@@ -1,13 +1,25 @@
 // Popup script for Browser Activity Monitor
+// RESOURCE_TYPES comes from capture-rules.js, loaded before this script
+const STATS_RETRY_MIN = 1000; // Delay before reopening the stats port after the worker stopped
+const STATS_RETRY_MAX = 30000;
+
 class PopupController {
   constructor() {
     this.isMonitoring = true; // Default to monitoring enabled
+    this.session = null;
     this.stats = {
       totalRequests: 0,
       activeTabs: 0,
       dataSize: 0
     };
+    this.statsPort = null;
+    this.statsRetryDelay = STATS_RETRY_MIN;
+    this.activeTabId = null;
+    this.activeWindowId = null;
+    this.recording = null;
     this.disabledDomains = [];
+    this.settings = {};
+    this.encryption = { enabled: false, locked: false };
     
     this.init();
   }
@@ -15,32 +27,243 @@ class PopupController {
   init() {
     this.setupEventListeners();
     this.loadInitialState();
+    this.connectStats();
     this.updateStats();
   }
 
+  // Live stats are pushed by the background over a port for as long as the popup is open
+  connectStats() {
+    this.statsPort = chrome.runtime.connect({ name: 'stats' });
+    this.statsPort.onMessage.addListener((message) => {
+      this.statsRetryDelay = STATS_RETRY_MIN;
+      this.applyMonitoringState(message.state);
+      this.renderStats(message.stats);
+    });
+    this.statsPort.onDisconnect.addListener(() => {
+      // The service worker was stopped; reconnecting starts it again. Back off while it
+      // keeps dropping the port before sending anything, so a failing worker is not restarted every second.
+      this.statsPort = null;
+      setTimeout(() => this.connectStats(), this.statsRetryDelay);
+      this.statsRetryDelay = Math.min(this.statsRetryDelay * 2, STATS_RETRY_MAX);
+    });
+  }
+
   setupEventListeners() {
+    this.renderResourceTypes();
     document.getElementById('startBtn').addEventListener('click', () => this.startMonitoring());
     document.getElementById('stopBtn').addEventListener('click', () => this.stopMonitoring());
     document.getElementById('analyticsBtn').addEventListener('click', () => this.openAnalytics());
     document.getElementById('exportBtn').addEventListener('click', () => this.exportData());
     document.getElementById('sqliteBtn').addEventListener('click', () => this.exportSQLite());
+    document.getElementById('harBtn').addEventListener('click', () => this.exportHAR());
     document.getElementById('zipBtn').addEventListener('click', () => this.createZip());
     document.getElementById('disableDomainBtn').addEventListener('click', () => this.disableDomain());
     document.getElementById('enableDomainBtn').addEventListener('click', () => this.enableDomain());
+    document.getElementById('bodyLimitInput').addEventListener('change', () => this.saveSettings());
+    document.getElementById('responseLimitInput').addEventListener('change', () => this.saveSettings());
+    document.getElementById('responseTypesInput').addEventListener('change', () => this.saveSettings());
+    document.getElementById('bodyCaptureBtn').addEventListener('click', () => this.toggleBodyCapture());
+    document.getElementById('retentionAgeInput').addEventListener('change', () => this.saveSettings());
+    document.getElementById('retentionRecordsInput').addEventListener('change', () => this.saveSettings());
+    document.getElementById('retentionSizeInput').addEventListener('change', () => this.saveSettings());
+    document.getElementById('retentionOverridesInput').addEventListener('change', () => this.saveSettings());
+    document.getElementById('redactionRulesInput').addEventListener('change', () => this.saveSettings());
+    document.getElementById('captureModeSelect').addEventListener('change', () => this.saveSettings());
+    document.getElementById('armTabBtn').addEventListener('click', () => this.toggleArmTab());
+    document.getElementById('armWindowBtn').addEventListener('click', () => this.toggleArmWindow());
+    document.getElementById('recordAllBtn').addEventListener('click', () => this.changeArming({ action: 'clearArming' }));
+    document.getElementById('recordChildTabsInput').addEventListener('change', () => this.saveSettings());
+    document.getElementById('recordIncognitoInput').addEventListener('change', () => this.saveSettings());
+    document.getElementById('captureAllowInput').addEventListener('change', () => this.saveSettings());
+    document.getElementById('captureDenyInput').addEventListener('change', () => this.saveSettings());
+    document.getElementById('pruneBtn').addEventListener('click', () => this.pruneData());
+    document.getElementById('encryptionEnableBtn').addEventListener('click', () => this.changeEncryption('enableEncryption'));
+    document.getElementById('unlockBtn').addEventListener('click', () => this.changeEncryption('unlockEncryption'));
+    document.getElementById('lockBtn').addEventListener('click', () => this.changeEncryption('lockEncryption'));
+    document.getElementById('encryptionDisableBtn').addEventListener('click', () => this.changeEncryption('disableEncryption'));
+    document.getElementById('encryptedExportBtn').addEventListener('click', () => this.exportEncrypted());
+    document.getElementById('resetStatsLink').addEventListener('click', (event) => {
+      event.preventDefault();
+      this.resetStats();
+    });
   }
 
   async loadInitialState() {
     try {
-      // Check if monitoring is already active
-      const result = await chrome.storage.local.get(['isMonitoring']);
-      this.isMonitoring = result.isMonitoring !== false; // Default to true
-      this.updateUI();
+      // The background worker owns the monitoring state
+      await this.loadMonitoringState();
+      const tab = await this.getActiveTab();
+      this.activeTabId = tab ? tab.id : null;
+      this.activeWindowId = tab ? tab.windowId : null;
       await this.loadDisabledDomains();
+      await this.loadSettings();
+      await this.loadRecordingState();
+      await this.loadEncryptionState();
     } catch (error) {
       console.error('Error loading initial state:', error);
     }
   }
 
+  async loadMonitoringState() {
+    try {
+      const response = await this.sendMessage({ action: 'getMonitoringState' });
+      if (response.success) {
+        this.applyMonitoringState(response.state);
+      }
+    } catch (error) {
+      console.error('Error loading monitoring state:', error);
+    }
+  }
+
+  applyMonitoringState(state) {
+    this.isMonitoring = state.isMonitoring;
+    this.session = state.session;
+    this.updateUI();
+  }
+
+  async loadRecordingState() {
+    if (this.activeTabId === null) return;
+
+    try {
+      const response = await this.sendMessage({ action: 'getRecordingState', tabId: this.activeTabId });
+      if (response.success) {
+        this.recording = response.recording;
+        this.updateRecordingUI();
+      }
+    } catch (error) {
+      console.error('Error loading recording state:', error);
+    }
+  }
+
+  updateRecordingUI() {
+    const recording = this.recording;
+    const status = document.getElementById('recordingScopeStatus');
+    if (!recording.targeted) {
+      status.textContent = 'Recording all tabs';
+    } else {
+      const parts = [];
+      if (recording.armedTabs.length > 0) {
+        parts.push(`${recording.armedTabs.length} tab${recording.armedTabs.length === 1 ? '' : 's'}`);
+      }
+      if (recording.armedWindows.length > 0) {
+        parts.push(`${recording.armedWindows.length} window${recording.armedWindows.length === 1 ? '' : 's'}`);
+      }
+      status.textContent = `Recording only ${parts.join(' and ')} · this tab is ${recording.tab.recorded ? 'recorded' : 'not recorded'}`;
+    }
+    if (recording.tab.incognito && !this.settings.recordIncognito) {
+      status.textContent += ' · incognito tabs are not recorded';
+    }
+
+    document.getElementById('armTabBtn').textContent = recording.tab.armed ? 'Stop Recording This Tab' : 'Record This Tab';
+    document.getElementById('armWindowBtn').textContent = recording.window && recording.window.armed
+      ? 'Stop Recording This Window'
+      : 'Record This Window';
+    document.getElementById('recordAllBtn').disabled = !recording.targeted;
+    document.getElementById('incognitoNote').style.display = recording.incognitoAllowed ? 'none' : 'block';
+  }
+
+  toggleArmTab() {
+    const armed = !(this.recording && this.recording.tab.armed);
+    this.changeArming({ action: 'armTab', tabId: this.activeTabId, armed });
+  }
+
+  toggleArmWindow() {
+    const armed = !(this.recording && this.recording.window && this.recording.window.armed);
+    this.changeArming({ action: 'armWindow', windowId: this.activeWindowId, armed });
+  }
+
+  async changeArming(message) {
+    try {
+      const response = await this.sendMessage(message);
+      if (!response.success) {
+        this.showMessage(response.error || 'Failed to change recording scope', 'error');
+      }
+      await this.loadRecordingState();
+    } catch (error) {
+      console.error('Error changing recording scope:', error);
+      this.showMessage('Error changing recording scope', 'error');
+    }
+  }
+
+  async loadEncryptionState() {
+    try {
+      const response = await this.sendMessage({ action: 'getEncryptionState' });
+      if (response.success) {
+        this.updateEncryptionUI(response.encryption);
+      }
+    } catch (error) {
+      console.error('Error loading encryption state:', error);
+    }
+  }
+
+  updateEncryptionUI(encryption) {
+    this.encryption = encryption;
+    const status = document.getElementById('encryptionStatus');
+    if (!encryption.enabled) {
+      status.textContent = 'Off';
+    } else if (encryption.locked) {
+      const skipped = encryption.skippedWhileLocked;
+      status.textContent = `Locked · capture paused${skipped > 0 ? ` (${skipped.toLocaleString()} skipped)` : ''}`;
+    } else {
+      status.textContent = 'On · unlocked';
+    }
+
+    document.getElementById('encryptionEnableBtn').style.display = encryption.enabled ? 'none' : '';
+    document.getElementById('unlockBtn').style.display = encryption.locked ? '' : 'none';
+    document.getElementById('lockBtn').style.display = encryption.enabled && !encryption.locked ? '' : 'none';
+    document.getElementById('encryptionDisableBtn').style.display = encryption.enabled && !encryption.locked ? '' : 'none';
+    document.getElementById('passphraseInput').style.display = encryption.enabled && !encryption.locked ? 'none' : '';
+    document.getElementById('encryptedExportBtn').style.display = encryption.enabled ? '' : 'none';
+  }
+
+  async changeEncryption(action) {
+    const passphraseInput = document.getElementById('passphraseInput');
+    const passphrase = passphraseInput.value;
+    if ((action === 'enableEncryption' || action === 'unlockEncryption') && !passphrase) {
+      this.showMessage('Please enter a passphrase', 'error');
+      return;
+    }
+    if (action === 'disableEncryption' && !confirm('Decrypt all stored data and turn encryption off?')) {
+      return;
+    }
+
+    try {
+      this.showLoading(true);
+      
+      const response = await this.sendMessage({ action, passphrase });
+      if (response.encryption) {
+        this.updateEncryptionUI(response.encryption);
+      }
+      
+      if (response.success) {
+        passphraseInput.value = '';
+        const messages = {
+          enableEncryption: 'Encryption enabled',
+          unlockEncryption: 'Encrypted data unlocked',
+          lockEncryption: 'Encrypted data locked',
+          disableEncryption: 'Encryption disabled'
+        };
+        this.showMessage(messages[action], 'success');
+      } else {
+        this.showMessage(response.error || 'Failed to change encryption', 'error');
+      }
+    } catch (error) {
+      console.error('Error changing encryption:', error);
+      this.showMessage('Error changing encryption', 'error');
+    } finally {
+      this.showLoading(false);
+    }
+  }
+
+  // Exports read decrypted data, so they need the passphrase first
+  ensureUnlocked() {
+    if (this.encryption.locked) {
+      this.showMessage('Unlock encrypted data before exporting', 'error');
+      return false;
+    }
+    return true;
+  }
+
   async loadDisabledDomains() {
     try {
       const response = await this.sendMessage({ action: 'getDisabledDomains' });
@@ -53,6 +276,290 @@ class PopupController {
     }
   }
 
+  async loadSettings() {
+    try {
+      const response = await this.sendMessage({ action: 'getSettings' });
+      if (response.success) {
+        this.settings = response.settings;
+        document.getElementById('bodyLimitInput').value = Math.round(this.settings.requestBodyMaxBytes / 1024);
+        document.getElementById('responseLimitInput').value = Math.round(this.settings.responseBodyMaxBytes / 1024);
+        document.getElementById('responseTypesInput').value = this.settings.responseBodyContentTypes.join(', ');
+        document.querySelectorAll('#resourceTypesList input').forEach(input => {
+          input.checked = this.settings.captureResourceTypes.includes(input.value);
+        });
+        document.getElementById('retentionAgeInput').value = this.settings.retentionMaxAgeDays;
+        document.getElementById('retentionRecordsInput').value = this.settings.retentionMaxRecords;
+        document.getElementById('retentionSizeInput').value = Math.round(this.settings.retentionMaxBytes / (1024 * 1024));
+        document.getElementById('retentionOverridesInput').value = this.formatDomainOverrides(this.settings.retentionDomainOverrides);
+        document.getElementById('redactionRulesInput').value = this.formatRedactionRules(this.settings.redactionRules);
+        document.getElementById('captureModeSelect').value = this.settings.captureMode;
+        document.getElementById('recordChildTabsInput').checked = this.settings.recordChildTabs;
+        document.getElementById('recordIncognitoInput').checked = this.settings.recordIncognito;
+        document.getElementById('captureAllowInput').value = this.formatCaptureRules(this.settings.captureAllowRules);
+        document.getElementById('captureDenyInput').value = this.formatCaptureRules(this.settings.captureDenyRules);
+      }
+
+      const tab = await this.getActiveTab();
+      const state = tab ? await this.sendMessage({ action: 'getBodyCaptureState', tabId: tab.id }) : {};
+      this.updateBodyCaptureButton(!!state.enabled);
+    } catch (error) {
+      console.error('Error loading settings:', error);
+    }
+  }
+
+  async saveSettings() {
+    const limit = parseInt(document.getElementById('bodyLimitInput').value, 10);
+    const responseLimit = parseInt(document.getElementById('responseLimitInput').value, 10);
+    if (isNaN(limit) || limit < 0 || isNaN(responseLimit) || responseLimit < 0) {
+      this.showMessage('Please enter a valid size', 'error');
+      return;
+    }
+
+    const maxAgeDays = parseFloat(document.getElementById('retentionAgeInput').value);
+    const maxRecords = parseInt(document.getElementById('retentionRecordsInput').value, 10);
+    const maxMegabytes = parseFloat(document.getElementById('retentionSizeInput').value);
+    if ([maxAgeDays, maxRecords, maxMegabytes].some(value => isNaN(value) || value < 0)) {
+      this.showMessage('Please enter valid retention limits', 'error');
+      return;
+    }
+
+    const overrides = this.parseDomainOverrides(document.getElementById('retentionOverridesInput').value);
+    if (!overrides) {
+      this.showMessage('Overrides must look like: example.com 7 [1000]', 'error');
+      return;
+    }
+
+    const redactionRules = this.parseRedactionRules(document.getElementById('redactionRulesInput').value);
+    if (!redactionRules) {
+      this.showMessage('Rules must look like: header authorization mask', 'error');
+      return;
+    }
+
+    const captureAllowRules = this.parseCaptureRules(document.getElementById('captureAllowInput').value);
+    const captureDenyRules = this.parseCaptureRules(document.getElementById('captureDenyInput').value);
+    if (!captureAllowRules || !captureDenyRules) {
+      this.showMessage('Capture rules must look like: *.example.com/path type:xmlhttprequest', 'error');
+      return;
+    }
+
+    try {
+      const response = await this.sendMessage({
+        action: 'updateSettings',
+        settings: {
+          requestBodyMaxBytes: limit * 1024,
+          responseBodyMaxBytes: responseLimit * 1024,
+          responseBodyContentTypes: document.getElementById('responseTypesInput').value.split(','),
+          captureResourceTypes: Array.from(document.querySelectorAll('#resourceTypesList input:checked'), input => input.value),
+          retentionMaxAgeDays: maxAgeDays,
+          retentionMaxRecords: maxRecords,
+          retentionMaxBytes: Math.round(maxMegabytes * 1024 * 1024),
+          retentionDomainOverrides: overrides,
+          redactionRules,
+          captureMode: document.getElementById('captureModeSelect').value,
+          recordChildTabs: document.getElementById('recordChildTabsInput').checked,
+          recordIncognito: document.getElementById('recordIncognitoInput').checked,
+          captureAllowRules,
+          captureDenyRules
+        }
+      });
+
+      if (response.success) {
+        this.settings = response.settings;
+        await this.loadRecordingState();
+        if (this.settings.redactionRules.length < redactionRules.length) {
+          // The background drops rules it cannot use, such as invalid regular expressions
+          document.getElementById('redactionRulesInput').value = this.formatRedactionRules(this.settings.redactionRules);
+          this.showMessage('Settings saved; invalid redaction rules were removed', 'error');
+          return;
+        }
+        if (this.settings.captureAllowRules.length < captureAllowRules.length ||
+            this.settings.captureDenyRules.length < captureDenyRules.length) {
+          document.getElementById('captureAllowInput').value = this.formatCaptureRules(this.settings.captureAllowRules);
+          document.getElementById('captureDenyInput').value = this.formatCaptureRules(this.settings.captureDenyRules);
+          this.showMessage('Settings saved; invalid capture rules were removed', 'error');
+          return;
+        }
+        this.showMessage('Settings saved', 'success');
+      } else {
+        this.showMessage('Failed to save settings', 'error');
+      }
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      this.showMessage('Error saving settings', 'error');
+    }
+  }
+
+  // "domain days [max records]" per line <-> { domain: { maxAgeDays, maxRecords } }
+  parseDomainOverrides(text) {
+    const overrides = {};
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+
+    for (const line of lines) {
+      const [domain, days, records = '0'] = line.split(/\s+/);
+      const maxAgeDays = parseFloat(days);
+      const maxRecords = parseInt(records, 10);
+      if (!domain || isNaN(maxAgeDays) || maxAgeDays < 0 || isNaN(maxRecords) || maxRecords < 0) {
+        return null;
+      }
+      overrides[domain.toLowerCase()] = { maxAgeDays, maxRecords };
+    }
+    return overrides;
+  }
+
+  formatDomainOverrides(overrides) {
+    return Object.entries(overrides || {})
+      .map(([domain, limits]) => limits.maxRecords > 0
+        ? `${domain} ${limits.maxAgeDays} ${limits.maxRecords}`
+        : `${domain} ${limits.maxAgeDays}`)
+      .join('\n');
+  }
+
+  // "type match action" per line; the match of a pattern rule may contain spaces
+  parseRedactionRules(text) {
+    const rules = [];
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+
+    for (const line of lines) {
+      const parts = line.split(/\s+/);
+      if (parts.length < 3) {
+        return null;
+      }
+      const type = parts[0].toLowerCase();
+      const action = parts[parts.length - 1].toLowerCase();
+      const match = type === 'pattern'
+        ? line.slice(parts[0].length, line.length - parts[parts.length - 1].length).trim()
+        : parts.slice(1, -1).join(' ');
+      if (!['header', 'query', 'field', 'pattern'].includes(type) || !['mask', 'hash', 'drop'].includes(action)) {
+        return null;
+      }
+      rules.push({ type, match, action });
+    }
+    return rules;
+  }
+
+  formatRedactionRules(rules) {
+    return (rules || []).map(rule => `${rule.type} ${rule.match} ${rule.action}`).join('\n');
+  }
+
+  // Capture rules, one per line: [host][/path] [type:a,b] [scheme:a,b] [regex:pattern]
+  // The regex takes the rest of the line, so it may contain spaces
+  parseCaptureRules(text) {
+    const rules = [];
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+
+    for (const line of lines) {
+      const rule = { host: '', path: '', regex: '', types: [], schemes: [] };
+      const regexStart = line.search(/(^|\s)regex:/);
+      const tokens = (regexStart < 0 ? line : line.slice(0, regexStart)).split(/\s+/).filter(Boolean);
+      if (regexStart >= 0) {
+        rule.regex = line.slice(line.indexOf('regex:', regexStart) + 6).trim();
+        if (!rule.regex) return null;
+      }
+
+      for (const token of tokens) {
+        if (token.startsWith('type:')) {
+          rule.types = token.slice(5).split(',').filter(Boolean);
+        } else if (token.startsWith('scheme:')) {
+          rule.schemes = token.slice(7).split(',').filter(Boolean);
+        } else if (!rule.host && !rule.path) {
+          const slash = token.indexOf('/');
+          rule.host = slash < 0 ? token : token.slice(0, slash);
+          rule.path = slash < 0 ? '' : token.slice(slash);
+        } else {
+          return null;
+        }
+      }
+      rules.push(rule);
+    }
+    return rules;
+  }
+
+  formatCaptureRules(rules) {
+    return (rules || []).map(rule => [
+      rule.host + rule.path,
+      rule.types.length > 0 ? `type:${rule.types.join(',')}` : '',
+      rule.schemes.length > 0 ? `scheme:${rule.schemes.join(',')}` : '',
+      rule.regex ? `regex:${rule.regex}` : ''
+    ].filter(Boolean).join(' ')).join('\n');
+  }
+
+  async pruneData() {
+    try {
+      this.showLoading(true);
+      const response = await this.sendMessage({ action: 'pruneData' });
+
+      if (response.success) {
+        const total = Object.values(response.removed).reduce((sum, count) => sum + count, 0);
+        this.showMessage(`Removed ${total.toLocaleString()} records`, 'success');
+        await this.updateStats();
+      } else {
+        this.showMessage('Failed to prune data', 'error');
+      }
+    } catch (error) {
+      console.error('Error pruning data:', error);
+      this.showMessage('Error pruning data', 'error');
+    } finally {
+      this.showLoading(false);
+    }
+  }
+
+  async toggleBodyCapture() {
+    try {
+      const tab = await this.getActiveTab();
+      if (!tab) {
+        this.showMessage('No active tab', 'error');
+        return;
+      }
+
+      const state = await this.sendMessage({ action: 'getBodyCaptureState', tabId: tab.id });
+      if (state.enabled) {
+        await this.sendMessage({ action: 'disableBodyCapture', tabId: tab.id });
+        this.updateBodyCaptureButton(false);
+        this.showMessage('Response body capture disabled for this tab', 'success');
+        return;
+      }
+
+      // The debugger permission is optional and must be requested from a user gesture
+      const granted = await chrome.permissions.request({ permissions: ['debugger'] });
+      if (!granted) {
+        this.showMessage('Debugger permission is required for response bodies', 'error');
+        return;
+      }
+
+      const response = await this.sendMessage({ action: 'enableBodyCapture', tabId: tab.id });
+      if (response.success) {
+        this.updateBodyCaptureButton(true);
+        this.showMessage('Response body capture enabled for this tab', 'success');
+      } else {
+        this.showMessage(response.error || 'Failed to enable response body capture', 'error');
+      }
+    } catch (error) {
+      console.error('Error toggling body capture:', error);
+      this.showMessage('Error toggling response body capture', 'error');
+    }
+  }
+
+  renderResourceTypes() {
+    const list = document.getElementById('resourceTypesList');
+    list.innerHTML = RESOURCE_TYPES.map(type => `
+      <label><input type="checkbox" value="${type}"> ${type}</label>
+    `).join('');
+    list.querySelectorAll('input').forEach(input => {
+      input.addEventListener('change', () => this.saveSettings());
+    });
+  }
+
+  updateBodyCaptureButton(enabled) {
+    document.getElementById('bodyCaptureBtn').textContent = enabled
+      ? 'Stop Capturing Response Bodies (This Tab)'
+      : 'Capture Response Bodies (This Tab)';
+  }
+
+  async getActiveTab() {
+    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+    return tabs[0] || null;
+  }
+
   async startMonitoring() {
     try {
       this.showLoading(true);
@@ -60,9 +567,7 @@ class PopupController {
       const response = await this.sendMessage({ action: 'startMonitoring' });
       
       if (response.success) {
-        this.isMonitoring = true;
-        await chrome.storage.local.set({ isMonitoring: true });
-        this.updateUI();
+        this.applyMonitoringState(response.state);
         this.showMessage('Monitoring started successfully!', 'success');
       } else {
         this.showMessage('Failed to start monitoring', 'error');
@@ -82,9 +587,7 @@ class PopupController {
       const response = await this.sendMessage({ action: 'stopMonitoring' });
       
       if (response.success) {
-        this.isMonitoring = false;
-        await chrome.storage.local.set({ isMonitoring: false });
-        this.updateUI();
+        this.applyMonitoringState(response.state);
         this.showMessage('Monitoring stopped successfully!', 'success');
       } else {
         this.showMessage('Failed to stop monitoring', 'error');
@@ -98,14 +601,16 @@ class PopupController {
   }
 
   async exportData() {
+    if (!this.ensureUnlocked()) return;
+
     try {
       this.showLoading(true);
       
-      const response = await this.sendMessage({ action: 'exportData' });
+      const response = await this.sendMessage({ action: 'exportData', includeActivity: true });
       
       if (response.success && response.data) {
-        // Create and download JSON file
-        const dataStr = JSON.stringify(response.data, null, 2);
+        // Create and download JSON file: network requests plus one array per activity store
+        const dataStr = JSON.stringify({ network_requests: response.data, ...response.activity }, null, 2);
         const dataBlob = new Blob([dataStr], { type: 'application/json' });
         const url = URL.createObjectURL(dataBlob);
         
@@ -150,6 +655,8 @@ class PopupController {
   }
 
   async exportSQLite() {
+    if (!this.ensureUnlocked()) return;
+
     try {
       this.showLoading(true);
       
@@ -168,7 +675,30 @@ class PopupController {
     }
   }
 
+  async exportHAR() {
+    if (!this.ensureUnlocked()) return;
+
+    try {
+      this.showLoading(true);
+      
+      const response = await this.sendMessage({ action: 'exportToHAR' });
+      
+      if (response.success) {
+        this.showMessage('HAR file exported and downloaded!', 'success');
+      } else {
+        this.showMessage('Failed to export HAR file', 'error');
+      }
+    } catch (error) {
+      console.error('Error exporting HAR:', error);
+      this.showMessage('Error exporting HAR file', 'error');
+    } finally {
+      this.showLoading(false);
+    }
+  }
+
   async createZip() {
+    if (!this.ensureUnlocked()) return;
+
     try {
       this.showLoading(true);
       
@@ -187,6 +717,27 @@ class PopupController {
     }
   }
 
+  async exportEncrypted() {
+    if (!this.ensureUnlocked()) return;
+
+    try {
+      this.showLoading(true);
+      
+      const response = await this.sendMessage({ action: 'exportEncrypted' });
+      
+      if (response.success) {
+        this.showMessage('Encrypted bundle exported and downloaded!', 'success');
+      } else {
+        this.showMessage('Failed to export encrypted bundle', 'error');
+      }
+    } catch (error) {
+      console.error('Error exporting encrypted bundle:', error);
+      this.showMessage('Error exporting encrypted bundle', 'error');
+    } finally {
+      this.showLoading(false);
+    }
+  }
+
   async disableDomain() {
     const domainInput = document.getElementById('domainInput');
     const domain = domainInput.value.trim();
@@ -252,17 +803,41 @@ class PopupController {
     `).join('');
   }
 
+  renderStats(stats) {
+    this.stats.totalRequests = stats.totalRequests;
+    const tabStats = stats.byTab[this.activeTabId];
+
+    document.getElementById('totalRequests').textContent = stats.totalRequests.toLocaleString();
+    document.getElementById('tabRequests').textContent = (tabStats ? tabStats.requests : 0).toLocaleString();
+    document.getElementById('requestsPerMinute').textContent = stats.requestsPerMinute.toLocaleString();
+    document.getElementById('errorCount').textContent = stats.errors.toLocaleString();
+    document.getElementById('bytesReceived').textContent = this.formatBytes(stats.bytes);
+    document.getElementById('statsSince').textContent = `Since ${new Date(stats.since).toLocaleString()} · ${stats.domainCount.toLocaleString()}${stats.domainsTruncated ? '+' : ''} domains`;
+
+    document.getElementById('topDomains').innerHTML = stats.topDomains.slice(0, 5).map(entry => `
+      <div class="stat-item">
+        <span class="domain-name" title="${this.escapeHtml(entry.domain)}">${this.escapeHtml(entry.domain)}</span>
+        <span class="stat-value">${entry.requests.toLocaleString()}</span>
+      </div>
+    `).join('');
+
+    this.updateStats();
+  }
+
+  async resetStats() {
+    const response = await this.sendMessage({ action: 'resetStats' });
+    if (!response.success) {
+      this.showMessage('Failed to reset statistics', 'error');
+    }
+  }
+
   async updateStats() {
     try {
-      // Get current stats from storage
-      const result = await chrome.storage.local.get(['stats']);
-      if (result.stats) {
-        this.stats = result.stats;
+      // Real on-disk usage of the extension's storage, IndexedDB included
+      if (navigator.storage && navigator.storage.estimate) {
+        const estimate = await navigator.storage.estimate();
+        this.stats.dataSize = estimate.usage || 0;
       }
-      
-      // Update UI
-      document.getElementById('totalRequests').textContent = this.stats.totalRequests.toLocaleString();
-      document.getElementById('activeTabs').textContent = this.stats.activeTabs;
       document.getElementById('dataSize').textContent = this.formatBytes(this.stats.dataSize);
       
       // Get active tabs count
@@ -292,6 +867,29 @@ class PopupController {
       startBtn.disabled = false;
       stopBtn.disabled = true;
     }
+
+    this.updateSessionInfo();
+  }
+
+  updateSessionInfo() {
+    const sessionInfo = document.getElementById('sessionInfo');
+    if (!this.session) {
+      sessionInfo.textContent = '';
+      return;
+    }
+
+    const started = new Date(this.session.started_at).toLocaleString();
+    const parts = [`Session since ${started}`, `${this.session.requests.toLocaleString()} captured`];
+    if (this.session.errors > 0) {
+      parts.push(`${this.session.errors.toLocaleString()} failed`);
+    }
+    if (this.session.restarts > 0) {
+      parts.push(`${this.session.restarts} worker restart${this.session.restarts === 1 ? '' : 's'}`);
+    }
+    if (this.session.stopped_at) {
+      parts.push(`stopped ${new Date(this.session.stopped_at).toLocaleTimeString()}`);
+    }
+    sessionInfo.textContent = parts.join(' · ');
   }
 
   showLoading(show) {
@@ -311,6 +909,15 @@ class PopupController {
     }, 3000);
   }
 
+  escapeHtml(value) {
+    return String(value == null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
   formatBytes(bytes) {
     if (bytes === 0) return '0 Bytes';
     const k = 1024;
@@ -332,10 +939,3 @@ class PopupController {
 document.addEventListener('DOMContentLoaded', () => {
   window.popupController = new PopupController();
 });
-
-// Update stats every 5 seconds
-setInterval(() => {
-  if (window.popupController) {
-    window.popupController.updateStats();
-  }
-}, 5000);
@@ -0,0 +1,213 @@
+// Encryption at rest for captured records
+// Sensitive columns are sealed with AES-GCM under a key derived from the user's passphrase with
+// PBKDF2. The key never touches disk: it lives in memory and in chrome.storage.session, so it
+// survives service-worker restarts but not a browser restart or an explicit lock.
+const ENCRYPTION_ITERATIONS = 310000; // PBKDF2-SHA256 work factor
+const ENCRYPTION_VERIFIER = 'BrAMon encryption check';
+
+// Columns moved into the encrypted blob, including every captured header. What stays in plaintext
+// is what queries, retention and stats read without the key: ids, timestamps, tab and window,
+// method, status, error, sizes and timings, and domain (retention overrides, per-domain stats and
+// the [domain, timestamp] index), so anyone with disk access can still list the visited domains.
+// Sealed rows have no url, so the url indexes only cover records written while encryption was off.
+const ENCRYPTED_COLUMNS = {
+  network_requests: [
+    'url', 'filename', 'referer', 'origin', 'cookie', 'location', 'x_forwarded_for',
+    'user_agent', 'server', 'vary', 'content_type', 'date',
+    'request_headers', 'response_headers', 'redirect_chain',
+    'request_body', 'request_body_files', 'response_preview', 'initiator'
+  ],
+  page_views: ['url', 'title', 'referrer', 'user_agent'],
+  form_submissions: ['url', 'form_action', 'form_id', 'form_name', 'fields'],
+  interactions: ['url', 'target_id', 'target_text', 'target_href'],
+  console_messages: ['url', 'message'],
+  visibility_events: ['url'],
+  page_sessions: ['url', 'title']
+};
+
+class RecordCipher {
+  constructor() {
+    this.config = null; // { salt, iterations, verifier } once encryption is enabled
+    this.key = null;
+    this.sealing = true; // Turned off while encryption is being disabled and records are unsealed
+    this.encoder = new TextEncoder();
+    this.decoder = new TextDecoder();
+  }
+
+  async load() {
+    const stored = await chrome.storage.local.get(['encryption']);
+    this.config = stored.encryption || null;
+    if (!this.config) return;
+
+    const session = await chrome.storage.session.get(['encryptionKey']);
+    if (session.encryptionKey) {
+      this.key = await this.importKey(this.fromBase64(session.encryptionKey));
+    }
+  }
+
+  isEnabled() {
+    return !!this.config;
+  }
+
+  isLocked() {
+    return this.isEnabled() && !this.key;
+  }
+
+  getState() {
+    return {
+      enabled: this.isEnabled(),
+      locked: this.isLocked(),
+      iterations: this.config ? this.config.iterations : null
+    };
+  }
+
+  // Key management
+  async enable(passphrase) {
+    if (this.isEnabled()) {
+      throw new Error('Encryption is already enabled');
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await this.deriveKey(passphrase, salt, ENCRYPTION_ITERATIONS);
+    const verifier = await this.encrypt(key, this.encoder.encode(ENCRYPTION_VERIFIER));
+
+    this.config = {
+      salt: this.toBase64(salt),
+      iterations: ENCRYPTION_ITERATIONS,
+      verifier: { iv: this.toBase64(verifier.iv), data: this.toBase64(verifier.data) }
+    };
+    await chrome.storage.local.set({ encryption: this.config });
+    await this.setKey(key);
+  }
+
+  async unlock(passphrase) {
+    if (!this.isEnabled()) {
+      throw new Error('Encryption is not enabled');
+    }
+
+    const key = await this.deriveKey(passphrase, this.fromBase64(this.config.salt), this.config.iterations);
+    try {
+      // AES-GCM authentication fails for a key derived from the wrong passphrase
+      await this.decrypt(key, this.fromBase64(this.config.verifier.iv), this.fromBase64(this.config.verifier.data));
+    } catch {
+      throw new Error('Wrong passphrase');
+    }
+    await this.setKey(key);
+  }
+
+  async lock() {
+    this.key = null;
+    await chrome.storage.session.remove('encryptionKey');
+  }
+
+  // Forgets the configuration; callers decrypt stored records first
+  async disable() {
+    this.config = null;
+    this.sealing = true;
+    await this.lock();
+    await chrome.storage.local.remove('encryption');
+  }
+
+  async setKey(key) {
+    this.key = key;
+    const raw = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+    await chrome.storage.session.set({ encryptionKey: this.toBase64(raw) });
+  }
+
+  async deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', this.encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  importKey(raw) {
+    return crypto.subtle.importKey('raw', raw, { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']);
+  }
+
+  // Records
+  async encryptRecord(storeName, record) {
+    if (!this.isEnabled() || !this.sealing) return record;
+    if (!this.key) {
+      // Never fall back to plaintext while encryption is on
+      throw new Error('Encrypted data is locked');
+    }
+
+    const sealed = { ...record };
+    const secret = {};
+    (ENCRYPTED_COLUMNS[storeName] || []).forEach(column => {
+      if (column in sealed) {
+        secret[column] = sealed[column];
+        delete sealed[column];
+      }
+    });
+
+    const { iv, data } = await this.encrypt(this.key, this.encoder.encode(JSON.stringify(secret)));
+    sealed.encrypted = { iv: this.toBase64(iv), data: this.toBase64(data) };
+    return sealed;
+  }
+
+  // Records stay sealed while locked
+  async decryptRecord(record) {
+    if (!record.encrypted || !this.key) return record;
+
+    const { encrypted, ...plain } = record;
+    const bytes = await this.decrypt(this.key, this.fromBase64(encrypted.iv), this.fromBase64(encrypted.data));
+    return { ...plain, ...JSON.parse(this.decoder.decode(bytes)) };
+  }
+
+  decryptRecords(records) {
+    if (!this.key || !records.some(record => record.encrypted)) return records;
+    return Promise.all(records.map(record => this.decryptRecord(record)));
+  }
+
+  // Export bundles: a JSON envelope holding everything needed to decrypt except the passphrase
+  async createBundle(bytes, contentType, filename) {
+    if (!this.key) {
+      throw new Error('Unlock encrypted data before exporting');
+    }
+
+    const { iv, data } = await this.encrypt(this.key, bytes);
+    return {
+      format: 'bramon-encrypted-bundle',
+      version: 1,
+      content_type: contentType,
+      filename,
+      kdf: { name: 'PBKDF2', hash: 'SHA-256', salt: this.config.salt, iterations: this.config.iterations },
+      cipher: { name: 'AES-GCM', iv: this.toBase64(iv) },
+      payload: this.toBase64(data)
+    };
+  }
+
+  // Primitives
+  async encrypt(key, bytes) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes));
+    return { iv, data };
+  }
+
+  async decrypt(key, iv, data) {
+    return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data));
+  }
+
+  toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  fromBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+}
@@ -0,0 +1,327 @@
+// Redaction engine applied to records before they are stored
+// Rules match header names, URL query parameters, form fields or regex patterns, and either
+// mask the value, replace it with a short SHA-256 hash, or drop it entirely
+const REDACTION_TYPES = ['header', 'query', 'field', 'pattern'];
+const REDACTION_ACTIONS = ['mask', 'hash', 'drop'];
+const REDACTED_VALUE = '[REDACTED]';
+const REDACTED_HASH = /^\[sha256:[0-9a-f]{16}\]$/;
+
+// Stored columns that hold the value of a request or response header
+const HEADER_COLUMNS = {
+  'cookie': 'cookie',
+  'user-agent': 'user_agent',
+  'referer': 'referer',
+  'origin': 'origin',
+  'x-forwarded-for': 'x_forwarded_for',
+  'vary': 'vary',
+  'server': 'server',
+  'location': 'location'
+};
+
+// Columns holding URLs whose query parameters are subject to query rules
+const URL_COLUMNS = ['url', 'referer', 'referrer', 'location', 'target_href', 'form_action'];
+
+class Redactor {
+  constructor(rules = []) {
+    this.encoder = new TextEncoder();
+    this.setRules(rules);
+  }
+
+  static normalizeRules(rules) {
+    return (rules || []).map(rule => ({
+      type: String(rule.type || '').trim().toLowerCase(),
+      match: String(rule.match || '').trim(),
+      action: String(rule.action || '').trim().toLowerCase()
+    })).filter(rule =>
+      REDACTION_TYPES.includes(rule.type) && REDACTION_ACTIONS.includes(rule.action) && rule.match &&
+      (rule.type !== 'pattern' || Redactor.isValidPattern(rule.match))
+    );
+  }
+
+  static isValidPattern(pattern) {
+    try {
+      new RegExp(pattern);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  setRules(rules) {
+    this.headers = new Map();
+    this.queryParams = new Map();
+    this.fields = new Map();
+    this.patterns = [];
+
+    Redactor.normalizeRules(rules).forEach(rule => {
+      if (rule.type === 'pattern') {
+        this.patterns.push({ regex: new RegExp(rule.match, 'gi'), action: rule.action });
+        return;
+      }
+
+      const names = { header: this.headers, query: this.queryParams, field: this.fields }[rule.type];
+      names.set(rule.match.toLowerCase(), rule.action);
+    });
+  }
+
+  hasRules() {
+    return this.headers.size + this.queryParams.size + this.fields.size + this.patterns.length > 0;
+  }
+
+  // Returns a redacted copy of the record; the input is left untouched
+  async redactRecord(record) {
+    if (!this.hasRules()) return record;
+
+    const redacted = { ...record };
+
+    for (const [header, column] of Object.entries(HEADER_COLUMNS)) {
+      const action = this.headers.get(header);
+      if (action && redacted[column]) {
+        redacted[column] = await this.replace(redacted[column], action);
+      }
+    }
+    for (const column of ['request_headers', 'response_headers']) {
+      if (redacted[column]) {
+        redacted[column] = await this.redactHeaderList(redacted[column]);
+      }
+    }
+
+    for (const column of URL_COLUMNS) {
+      if (typeof redacted[column] === 'string' && redacted[column]) {
+        redacted[column] = await this.redactUrl(redacted[column]);
+      }
+    }
+    if (redacted.redirect_chain) {
+      redacted.redirect_chain = await this.redactRedirectChain(redacted.redirect_chain);
+    }
+    if (redacted.request_body && redacted.request_body_type === 'form') {
+      redacted.request_body = await this.redactFormBody(redacted.request_body);
+    }
+    if (typeof redacted.request_body === 'string' && ['json', 'text'].includes(redacted.request_body_type)) {
+      redacted.request_body = await this.redactJsonBody(redacted.request_body);
+    }
+    if (redacted.fields) {
+      redacted.fields = await this.redactFormFields(redacted.fields);
+    }
+    if (redacted.target_id && redacted.target_text) {
+      // Interactions with a form control named by a field rule, e.g. a click on #password
+      const action = this.fields.get(String(redacted.target_id).toLowerCase());
+      if (action) {
+        redacted.target_text = await this.replace(redacted.target_text, action);
+      }
+    }
+
+    // Patterns run last, over every text column, so they also catch what the named rules missed
+    if (this.patterns.length > 0) {
+      for (const [column, value] of Object.entries(redacted)) {
+        if (typeof value === 'string') {
+          redacted[column] = await this.redactPatterns(value);
+        }
+      }
+    }
+
+    return redacted;
+  }
+
+  async redactHeaderList(json) {
+    const headers = this.parseJSON(json, null);
+    if (!Array.isArray(headers)) return json;
+
+    const result = [];
+    for (const header of headers) {
+      const name = String(header.name || '').toLowerCase();
+      const action = this.headers.get(name);
+      if (!action && (name === 'referer' || name === 'location') && header.value) {
+        result.push({ ...header, value: await this.redactUrl(header.value) });
+      } else if (!action) {
+        result.push(header);
+      } else if (action !== 'drop') {
+        result.push({ ...header, value: await this.replace(header.value, action) });
+      }
+    }
+    return this.serialize(json, result);
+  }
+
+  async redactUrl(url) {
+    if (this.queryParams.size === 0) return url;
+
+    const queryStart = url.indexOf('?');
+    if (queryStart < 0) return url;
+
+    const hashStart = url.indexOf('#', queryStart);
+    const query = url.slice(queryStart + 1, hashStart < 0 ? undefined : hashStart);
+    const fragment = hashStart < 0 ? '' : url.slice(hashStart);
+
+    // Rebuilt by hand so untouched parameters keep their original encoding
+    const params = [];
+    for (const param of query.split('&')) {
+      const separator = param.indexOf('=');
+      const name = separator < 0 ? param : param.slice(0, separator);
+      const action = this.queryParams.get(this.decode(name).toLowerCase());
+      if (!action || separator < 0) {
+        if (action !== 'drop') params.push(param);
+      } else if (action !== 'drop') {
+        params.push(`${name}=${await this.replace(this.decode(param.slice(separator + 1)), action)}`);
+      }
+    }
+
+    const base = url.slice(0, queryStart);
+    return (params.length > 0 ? `${base}?${params.join('&')}` : base) + fragment;
+  }
+
+  async redactRedirectChain(json) {
+    const hops = this.parseJSON(json, null);
+    if (!Array.isArray(hops)) return json;
+
+    for (const hop of hops) {
+      if (hop.url) hop.url = await this.redactUrl(hop.url);
+      if (hop.redirect_url) hop.redirect_url = await this.redactUrl(hop.redirect_url);
+    }
+    return this.serialize(json, hops);
+  }
+
+  // Form-encoded request bodies are stored as { name: [values] } and follow the query and field rules
+  async redactFormBody(json) {
+    const form = this.parseJSON(json, null);
+    if (!form || typeof form !== 'object' || !this.hasBodyRules()) return json;
+
+    for (const name of Object.keys(form)) {
+      const action = this.getBodyKeyAction(name);
+      if (action === 'drop') {
+        delete form[name];
+      } else if (action) {
+        form[name] = await Promise.all([].concat(form[name]).map(value => this.replace(value, action)));
+      }
+    }
+    return this.serialize(json, form);
+  }
+
+  // JSON bodies: any key, at any depth, named by a query or field rule, e.g. {"password": ...}
+  async redactJsonBody(text) {
+    if (!this.hasBodyRules()) return text;
+
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch {
+      // Truncated or not JSON at all: redact "key": value pairs where they appear
+      return this.redactJsonText(text);
+    }
+    if (!body || typeof body !== 'object') return text;
+
+    await this.redactJsonValue(body);
+    return JSON.stringify(body);
+  }
+
+  async redactJsonValue(value) {
+    if (Array.isArray(value)) {
+      for (const item of value) {
+        if (item && typeof item === 'object') await this.redactJsonValue(item);
+      }
+      return;
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      const action = this.getBodyKeyAction(key);
+      if (action === 'drop') {
+        delete value[key];
+      } else if (action) {
+        value[key] = await this.replace(typeof item === 'string' ? item : JSON.stringify(item), action);
+      } else if (item && typeof item === 'object') {
+        await this.redactJsonValue(item);
+      }
+    }
+  }
+
+  async redactJsonText(text) {
+    const pair = /"((?:[^"\\]|\\.)*)"(\s*:\s*)("(?:[^"\\]|\\.)*"|-?[\d.eE+-]+|true|false|null)/g;
+    const replacements = [];
+    for (const match of text.matchAll(pair)) {
+      const action = this.getBodyKeyAction(match[1]);
+      if (action) {
+        const value = match[3].startsWith('"') ? this.parseJSON(match[3], match[3]) : match[3];
+        replacements.push(action === 'drop' ? 'null' : JSON.stringify(await this.replace(value, action)));
+      }
+    }
+
+    let index = 0;
+    return text.replace(pair, (match, key, separator) =>
+      this.getBodyKeyAction(key) ? `"${key}"${separator}${replacements[index++]}` : match
+    );
+  }
+
+  hasBodyRules() {
+    return this.queryParams.size + this.fields.size > 0;
+  }
+
+  getBodyKeyAction(name) {
+    const key = String(name).toLowerCase();
+    return this.fields.get(key) || this.queryParams.get(key);
+  }
+
+  // Form submission fields ({ name: { type, value, required } }) match on input type or name
+  async redactFormFields(json) {
+    const fields = this.parseJSON(json, null);
+    if (!fields || typeof fields !== 'object' || this.fields.size === 0) return json;
+
+    for (const [name, field] of Object.entries(fields)) {
+      const action = this.fields.get(String(field.type || '').toLowerCase()) || this.fields.get(name.toLowerCase());
+      if (action === 'drop') {
+        delete fields[name];
+      } else if (action) {
+        field.value = await this.replace(field.value, action);
+      }
+    }
+    return this.serialize(json, fields);
+  }
+
+  async redactPatterns(value) {
+    let result = value;
+    for (const { regex, action } of this.patterns) {
+      regex.lastIndex = 0;
+      const matches = result.match(regex);
+      if (!matches) continue;
+
+      const replacements = new Map();
+      for (const match of new Set(matches)) {
+        replacements.set(match, action === 'drop' ? '' : await this.replace(match, action));
+      }
+      result = result.replace(regex, match => replacements.get(match));
+    }
+    return result;
+  }
+
+  async replace(value, action) {
+    if (action === 'drop') return null;
+    if (action === 'mask') return REDACTED_VALUE;
+    // Checkpointed in-flight requests are redacted once more when stored; keep hashes stable
+    if (REDACTED_HASH.test(String(value))) return value;
+
+    // Equal values hash alike, so redacted captures can still be correlated
+    const digest = await crypto.subtle.digest('SHA-256', this.encoder.encode(String(value)));
+    const hex = Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+    return `[sha256:${hex.slice(0, 16)}]`;
+  }
+
+  // Columns keep the shape they came in: JSON text in stored records, arrays in in-flight requests
+  serialize(original, value) {
+    return typeof original === 'string' ? JSON.stringify(value) : value;
+  }
+
+  parseJSON(json, fallback) {
+    if (typeof json !== 'string') return json;
+    try {
+      return JSON.parse(json);
+    } catch {
+      return fallback;
+    }
+  }
+
+  decode(value) {
+    try {
+      return decodeURIComponent(value.replace(/\+/g, ' '));
+    } catch {
+      return value;
+    }
+  }
+}
@@ -0,0 +1,508 @@
+// Writer for SQLite 3 database files, used by the SQLite export
+// Builds the page images directly so exports open in sqlite3 and DB browsers
+class SQLiteWriter {
+  constructor(pageSize = 4096) {
+    this.pageSize = pageSize;
+    this.pages = [new Uint8Array(pageSize)]; // Page 1 holds the file header and sqlite_master
+    this.schema = [];
+    this.tables = new Map();
+    this.encoder = new TextEncoder();
+  }
+
+  createTable(name, columns, rows) {
+    const primaryKey = columns.findIndex(column => column.primaryKey);
+    let nextRowid = 1;
+
+    const records = rows.map(values => {
+      let rowid = primaryKey >= 0 ? values[primaryKey] : null;
+      if (!Number.isInteger(rowid)) {
+        rowid = nextRowid;
+      }
+      nextRowid = Math.max(nextRowid, rowid + 1);
+
+      // The INTEGER PRIMARY KEY column aliases the rowid and is stored as NULL
+      const stored = values.map((value, index) => index === primaryKey ? null : value);
+      return { rowid, values: stored, keyValues: values };
+    }).sort((a, b) => a.rowid - b.rowid);
+
+    const rootPage = this.buildTableTree(records);
+    const columnSQL = columns.map(column =>
+      `  ${this.quoteIdentifier(column.name)} ${column.type}${column.primaryKey ? ' PRIMARY KEY' : ''}`
+    ).join(',\n');
+
+    this.tables.set(name, { columns, records });
+    this.schema.push({
+      type: 'table',
+      name,
+      tblName: name,
+      rootPage,
+      sql: `CREATE TABLE ${this.quoteIdentifier(name)} (\n${columnSQL}\n)`
+    });
+    return rootPage;
+  }
+
+  createIndex(name, tableName, columnNames) {
+    const table = this.tables.get(tableName);
+    if (!table) {
+      throw new Error(`Unknown table: ${tableName}`);
+    }
+
+    const positions = columnNames.map(columnName => {
+      const index = table.columns.findIndex(column => column.name === columnName);
+      if (index < 0) {
+        throw new Error(`Unknown column ${columnName} in table ${tableName}`);
+      }
+      return index;
+    });
+
+    // Index keys are the indexed values followed by the rowid, in BINARY collation order
+    const keys = table.records.map(record => [
+      ...positions.map(position => this.normalizeValue(record.keyValues[position])),
+      record.rowid
+    ]);
+    keys.sort((a, b) => this.compareKeys(a, b));
+
+    const rootPage = this.buildIndexTree(keys);
+    const columnSQL = columnNames.map(columnName => this.quoteIdentifier(columnName)).join(', ');
+
+    this.schema.push({
+      type: 'index',
+      name,
+      tblName: tableName,
+      rootPage,
+      sql: `CREATE INDEX ${this.quoteIdentifier(name)} ON ${this.quoteIdentifier(tableName)} (${columnSQL})`
+    });
+    return rootPage;
+  }
+
+  toBlob() {
+    const schemaRecords = this.schema.map((entry, index) => ({
+      rowid: index + 1,
+      values: [entry.type, entry.name, entry.tblName, entry.rootPage, entry.sql]
+    }));
+
+    this.buildSchemaTree(schemaRecords);
+    this.writeHeader();
+    return new Blob(this.pages, { type: 'application/vnd.sqlite3' });
+  }
+
+  // sqlite_schema is always rooted on page 1, after the 100-byte file header. A schema too
+  // large for that page is spread over leaf pages with page 1 as their interior parent.
+  buildSchemaTree(records) {
+    const cells = records.map(record => this.buildTableCell(record));
+    const capacity = this.pageSize - 100;
+    const used = 8 + cells.reduce((total, cell) => total + cell.length + 2, 0);
+    if (used <= capacity) {
+      this.writePage(1, 13, cells);
+      return;
+    }
+
+    const leaves = [];
+    let leafCells = [];
+    let leafUsed = 8;
+    cells.forEach((cell, index) => {
+      if (leafCells.length > 0 && leafUsed + cell.length + 2 > capacity) {
+        leaves.push({ cells: leafCells, maxRowid: records[index - 1].rowid });
+        leafCells = [];
+        leafUsed = 8;
+      }
+      leafCells.push(cell);
+      leafUsed += cell.length + 2;
+    });
+    leaves.push({ cells: leafCells, maxRowid: records[records.length - 1].rowid });
+
+    const children = leaves.map(leaf => {
+      const pageNumber = this.allocatePage();
+      this.writePage(pageNumber, 13, leaf.cells);
+      return { pageNumber, maxRowid: leaf.maxRowid };
+    });
+
+    const right = children.pop();
+    const interiorCells = children.map(child =>
+      Uint8Array.from([...this.uint32(child.pageNumber), ...this.varint(child.maxRowid)])
+    );
+    this.writePage(1, 5, interiorCells, right.pageNumber);
+  }
+
+  writeHeader() {
+    const page = this.pages[0];
+    const view = new DataView(page.buffer);
+
+    page.set(this.encoder.encode('SQLite format 3\0'), 0);
+    view.setUint16(16, this.pageSize === 65536 ? 1 : this.pageSize);
+    page[18] = 1; // File format write version (legacy)
+    page[19] = 1; // File format read version (legacy)
+    page[20] = 0; // Reserved bytes per page
+    page[21] = 64; // Maximum embedded payload fraction
+    page[22] = 32; // Minimum embedded payload fraction
+    page[23] = 32; // Leaf payload fraction
+    view.setUint32(24, 1); // File change counter
+    view.setUint32(28, this.pages.length); // Database size in pages
+    view.setUint32(32, 0); // First freelist trunk page
+    view.setUint32(36, 0); // Total freelist pages
+    view.setUint32(40, 1); // Schema cookie
+    view.setUint32(44, 4); // Schema format number
+    view.setUint32(56, 1); // Text encoding: UTF-8
+    view.setUint32(92, 1); // Version-valid-for number
+    view.setUint32(96, 3045000); // SQLITE_VERSION_NUMBER
+  }
+
+  // B-tree construction
+  buildTableTree(records) {
+    let level = [];
+    let cells = [];
+    let used = 8;
+    let maxRowid = 0;
+
+    const flushLeaf = () => {
+      const pageNumber = this.allocatePage();
+      this.writePage(pageNumber, 13, cells);
+      level.push({ pageNumber, maxRowid });
+      cells = [];
+      used = 8;
+    };
+
+    records.forEach(record => {
+      const cell = this.buildTableCell(record);
+      if (cells.length > 0 && used + cell.length + 2 > this.pageSize) {
+        flushLeaf();
+      }
+      cells.push(cell);
+      used += cell.length + 2;
+      maxRowid = record.rowid;
+    });
+
+    if (cells.length > 0 || level.length === 0) {
+      flushLeaf();
+    }
+
+    // Interior cells are at most 13 bytes plus a 2-byte pointer; the last child is the right pointer
+    const fanout = Math.floor((this.pageSize - 12) / 15) + 1;
+    while (level.length > 1) {
+      const groups = [];
+      for (let i = 0; i < level.length; i += fanout) {
+        groups.push(level.slice(i, i + fanout));
+      }
+      const last = groups[groups.length - 1];
+      if (groups.length > 1 && last.length === 1) {
+        last.unshift(groups[groups.length - 2].pop());
+      }
+
+      level = groups.map(children => {
+        const right = children[children.length - 1];
+        const interiorCells = children.slice(0, -1).map(child =>
+          Uint8Array.from([...this.uint32(child.pageNumber), ...this.varint(child.maxRowid)])
+        );
+        const pageNumber = this.allocatePage();
+        this.writePage(pageNumber, 5, interiorCells, right.pageNumber);
+        return { pageNumber, maxRowid: right.maxRowid };
+      });
+    }
+
+    return level[0].pageNumber;
+  }
+
+  buildTableCell(record) {
+    const payload = this.encodeRecord(record.values);
+    return this.buildCell([...this.varint(payload.length), ...this.varint(record.rowid)], payload, true);
+  }
+
+  buildIndexTree(keys) {
+    const entries = keys.map(key => ({ payload: this.encodeRecord(key) }));
+    let children = [];
+    let dividers = [];
+    let pageEntries = [];
+    let used = 8;
+
+    const flushLeaf = () => {
+      const pageNumber = this.allocatePage();
+      this.writePage(pageNumber, 10, pageEntries.map(entry => this.buildIndexCell(entry, null)));
+      children.push(pageNumber);
+      pageEntries = [];
+      used = 8;
+    };
+
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      const size = this.indexCellSize(entry, false) + 2;
+
+      if (pageEntries.length > 0 && used + size > this.pageSize) {
+        if (i === entries.length - 1) {
+          // Promote the previous entry instead so the final leaf is not left empty
+          const divider = pageEntries.pop();
+          flushLeaf();
+          dividers.push(divider);
+        } else {
+          // Interior index cells hold real keys, so the overflowing entry moves up a level
+          flushLeaf();
+          dividers.push(entry);
+          continue;
+        }
+      }
+
+      pageEntries.push(entry);
+      used += size;
+    }
+
+    if (pageEntries.length > 0 || children.length === 0) {
+      flushLeaf();
+    }
+
+    while (children.length > 1) {
+      const nextChildren = [];
+      const nextDividers = [];
+      let pageCells = [];
+      used = 12;
+
+      const flushInterior = (rightChild) => {
+        const pageNumber = this.allocatePage();
+        const cells = pageCells.map(cell => this.buildIndexCell(cell.entry, cell.child));
+        this.writePage(pageNumber, 2, cells, rightChild);
+        nextChildren.push(pageNumber);
+        pageCells = [];
+        used = 12;
+      };
+
+      for (let i = 0; i < dividers.length; i++) {
+        const cell = { child: children[i], entry: dividers[i] };
+        const size = this.indexCellSize(cell.entry, true) + 2;
+
+        if (pageCells.length > 0 && used + size > this.pageSize) {
+          if (i === dividers.length - 1) {
+            // Keep at least one cell for the final page by promoting the previous divider
+            const previous = pageCells.pop();
+            flushInterior(previous.child);
+            nextDividers.push(previous.entry);
+          } else {
+            flushInterior(cell.child);
+            nextDividers.push(cell.entry);
+            continue;
+          }
+        }
+
+        pageCells.push(cell);
+        used += size;
+      }
+
+      flushInterior(children[children.length - 1]);
+      children = nextChildren;
+      dividers = nextDividers;
+    }
+
+    return children[0];
+  }
+
+  indexCellSize(entry, interior) {
+    const payloadSize = entry.payload.length;
+    const local = this.localPayloadSize(payloadSize, false);
+    return (interior ? 4 : 0) + this.varint(payloadSize).length + local + (local < payloadSize ? 4 : 0);
+  }
+
+  buildIndexCell(entry, leftChild) {
+    const prefix = leftChild === null ? [] : this.uint32(leftChild);
+    return this.buildCell([...prefix, ...this.varint(entry.payload.length)], entry.payload, false);
+  }
+
+  buildCell(prefix, payload, isTable) {
+    const local = this.localPayloadSize(payload.length, isTable);
+    const overflowed = local < payload.length;
+    const cell = new Uint8Array(prefix.length + local + (overflowed ? 4 : 0));
+
+    cell.set(prefix, 0);
+    cell.set(payload.subarray(0, local), prefix.length);
+    if (overflowed) {
+      cell.set(this.uint32(this.writeOverflow(payload.subarray(local))), prefix.length + local);
+    }
+    return cell;
+  }
+
+  localPayloadSize(payloadSize, isTable) {
+    const usable = this.pageSize;
+    const maxLocal = isTable ? usable - 35 : Math.floor((usable - 12) * 64 / 255) - 23;
+    const minLocal = Math.floor((usable - 12) * 32 / 255) - 23;
+
+    if (payloadSize <= maxLocal) {
+      return payloadSize;
+    }
+    const local = minLocal + (payloadSize - minLocal) % (usable - 4);
+    return local <= maxLocal ? local : minLocal;
+  }
+
+  writeOverflow(bytes) {
+    const chunkSize = this.pageSize - 4;
+    const pageNumbers = [];
+    for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+      pageNumbers.push(this.allocatePage());
+    }
+
+    pageNumbers.forEach((pageNumber, index) => {
+      const page = this.pages[pageNumber - 1];
+      page.set(this.uint32(pageNumbers[index + 1] || 0), 0);
+      page.set(bytes.subarray(index * chunkSize, (index + 1) * chunkSize), 4);
+    });
+    return pageNumbers[0];
+  }
+
+  allocatePage() {
+    this.pages.push(new Uint8Array(this.pageSize));
+    return this.pages.length;
+  }
+
+  writePage(pageNumber, pageType, cells, rightChild = 0) {
+    const page = this.pages[pageNumber - 1];
+    const view = new DataView(page.buffer);
+    const offset = pageNumber === 1 ? 100 : 0;
+    const headerSize = pageType === 2 || pageType === 5 ? 12 : 8;
+
+    let contentStart = this.pageSize;
+    let pointer = offset + headerSize;
+    cells.forEach(cell => {
+      contentStart -= cell.length;
+      page.set(cell, contentStart);
+      view.setUint16(pointer, contentStart);
+      pointer += 2;
+    });
+
+    if (pointer > contentStart) {
+      throw new Error(`B-tree page ${pageNumber} overflowed`);
+    }
+
+    page[offset] = pageType;
+    view.setUint16(offset + 1, 0); // No freeblocks
+    view.setUint16(offset + 3, cells.length);
+    view.setUint16(offset + 5, contentStart === 65536 ? 0 : contentStart);
+    page[offset + 7] = 0; // Fragmented free bytes
+    if (headerSize === 12) {
+      view.setUint32(offset + 8, rightChild);
+    }
+  }
+
+  // Record encoding
+  encodeRecord(values) {
+    const types = [];
+    const bodies = [];
+
+    values.forEach(rawValue => {
+      const value = this.normalizeValue(rawValue);
+      if (value === null) {
+        types.push(0);
+      } else if (typeof value === 'number' && Number.isSafeInteger(value)) {
+        const { serialType, bytes } = this.encodeInteger(value);
+        types.push(serialType);
+        bodies.push(bytes);
+      } else if (typeof value === 'number') {
+        const bytes = new Uint8Array(8);
+        new DataView(bytes.buffer).setFloat64(0, value);
+        types.push(7);
+        bodies.push(bytes);
+      } else if (value instanceof Uint8Array) {
+        types.push(value.length * 2 + 12);
+        bodies.push(value);
+      } else {
+        types.push(value.text.length * 2 + 13);
+        bodies.push(value.text);
+      }
+    });
+
+    const typeBytes = types.flatMap(type => this.varint(type));
+    let headerSize = typeBytes.length + 1;
+    while (this.varint(headerSize).length + typeBytes.length !== headerSize) {
+      headerSize = this.varint(headerSize).length + typeBytes.length;
+    }
+
+    const header = [...this.varint(headerSize), ...typeBytes];
+    const bodySize = bodies.reduce((total, body) => total + body.length, 0);
+    const record = new Uint8Array(header.length + bodySize);
+    record.set(header, 0);
+
+    let offset = header.length;
+    bodies.forEach(body => {
+      record.set(body, offset);
+      offset += body.length;
+    });
+    return record;
+  }
+
+  // Text is kept as UTF-8 bytes so records and index ordering use the same representation
+  normalizeValue(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Uint8Array) return value;
+    if (value.text instanceof Uint8Array) return value;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value === 'string') return { text: this.encoder.encode(value) };
+    return { text: this.encoder.encode(JSON.stringify(value)) };
+  }
+
+  encodeInteger(value) {
+    if (value === 0) return { serialType: 8, bytes: new Uint8Array(0) };
+    if (value === 1) return { serialType: 9, bytes: new Uint8Array(0) };
+
+    const ranges = [[1, 1], [2, 2], [3, 3], [4, 4], [5, 6], [6, 8]];
+    const [serialType, length] = ranges.find(([, size]) => {
+      const limit = 2 ** (size * 8 - 1);
+      return value >= -limit && value < limit;
+    });
+
+    const bytes = new Uint8Array(length);
+    let remaining = BigInt.asUintN(length * 8, BigInt(value));
+    for (let i = length - 1; i >= 0; i--) {
+      bytes[i] = Number(remaining & 0xffn);
+      remaining >>= 8n;
+    }
+    return { serialType, bytes };
+  }
+
+  compareKeys(a, b) {
+    for (let i = 0; i < a.length; i++) {
+      const result = this.compareValues(a[i], b[i]);
+      if (result !== 0) return result;
+    }
+    return 0;
+  }
+
+  // SQLite orders NULL < numbers < text < blobs; text uses BINARY (memcmp) collation
+  compareValues(a, b) {
+    const rank = value => {
+      if (value === null) return 0;
+      if (typeof value === 'number') return 1;
+      return value instanceof Uint8Array ? 3 : 2;
+    };
+    if (rank(a) !== rank(b)) return rank(a) - rank(b);
+    if (a === null) return 0;
+    if (typeof a === 'number') return a - b;
+    if (rank(a) === 2) {
+      a = a.text;
+      b = b.text;
+    }
+
+    const length = Math.min(a.length, b.length);
+    for (let i = 0; i < length; i++) {
+      if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return a.length - b.length;
+  }
+
+  // Big-endian variable-length integer; values stay below 2^53 so the 9-byte form is never needed
+  varint(value) {
+    const bytes = [];
+    let remaining = value;
+    do {
+      bytes.unshift(remaining % 128);
+      remaining = Math.floor(remaining / 128);
+    } while (remaining > 0);
+
+    for (let i = 0; i < bytes.length - 1; i++) {
+      bytes[i] |= 0x80;
+    }
+    return bytes;
+  }
+
+  uint32(value) {
+    return [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+  }
+
+  quoteIdentifier(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+  }
+}
@@ -0,0 +1,97 @@
+// Response body capture: bodies read through the debugger are matched to webRequest records
+// Run with `npm test` (Node 18+, no dependencies)
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+function createEvent() {
+  return { addListener() {}, removeListener() {}, hasListener: () => false };
+}
+
+// Loads background.js with just enough of the chrome API for the constructor and the top-level
+// listeners; without IndexedDB init() stops at the database, which these tests do not need
+function loadMonitor() {
+  const events = names => Object.fromEntries(names.map(name => [name, createEvent()]));
+  const chrome = {
+    runtime: events(['onMessage', 'onConnect', 'onStartup', 'onInstalled']),
+    alarms: events(['onAlarm']),
+    webRequest: events(['onBeforeRequest', 'onBeforeSendHeaders', 'onSendHeaders', 'onHeadersReceived',
+      'onResponseStarted', 'onBeforeRedirect', 'onCompleted', 'onErrorOccurred']),
+    webNavigation: events(['onBeforeNavigate', 'onCommitted', 'onDOMContentLoaded', 'onCompleted', 'onErrorOccurred']),
+    tabs: events(['onCreated', 'onUpdated', 'onAttached', 'onActivated', 'onRemoved']),
+    windows: events(['onCreated', 'onRemoved']),
+    debugger: {
+      ...events(['onEvent', 'onDetach']),
+      sendCommand: async () => ({ body: '{"ok":true}', base64Encoded: false })
+    }
+  };
+  const context = {
+    chrome, setTimeout, clearTimeout, setInterval, clearInterval, TextEncoder, TextDecoder, URL, crypto, atob, btoa,
+    console: { ...console, log() {}, error() {} }
+  };
+  context.self = context;
+  context.importScripts = (...files) => files.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  });
+  vm.createContext(context);
+  const source = fs.readFileSync(path.join(ROOT, 'background.js'), 'utf8');
+  vm.runInContext(`${source}\nglobalThis.monitor = monitor;`, context, { filename: 'background.js' });
+
+  const monitor = context.monitor;
+  const stored = [];
+  monitor.scheduleCheckpoint = () => {};
+  monitor.storeCompleteRequest = record => stored.push(record);
+  monitor.bodyCaptureTabs.add(7);
+  return { chrome, monitor, stored };
+}
+
+// DevTools numbers requests "1234.56" while webRequest uses its own ids
+function sendDevToolsEvents(monitor, url) {
+  const source = { tabId: 7 };
+  monitor.handleDebuggerEvent(source, 'Network.requestWillBeSent', { requestId: '1234.56', request: { url, method: 'GET' } });
+  monitor.handleDebuggerEvent(source, 'Network.responseReceived', { requestId: '1234.56', response: { url, mimeType: 'application/json' } });
+  return monitor.handleDebuggerEvent(source, 'Network.loadingFinished', { requestId: '1234.56', encodedDataLength: 11 });
+}
+
+function completeWebRequest(monitor, url) {
+  monitor.storeRequestData('901', { url, method: 'GET', tab_id: 7, content_type: 'application/json', started_at: 1 });
+  return monitor.handleCompleted({ requestId: '901', url, method: 'GET', tabId: 7, timeStamp: 2 });
+}
+
+test('attaches a body read before webRequest completes', async () => {
+  const { monitor, stored } = loadMonitor();
+  const url = 'https://api.example.com/items';
+  await sendDevToolsEvents(monitor, url);
+  await completeWebRequest(monitor, url);
+
+  assert.strictEqual(stored.length, 1);
+  assert.strictEqual(stored[0].response_preview, '{"ok":true}');
+  assert.match(stored[0].response_checksum, /^[0-9a-f]{64}$/);
+  assert.strictEqual(monitor.responseBodies.size, 0);
+  assert.strictEqual(monitor.debuggerRequests.size, 0);
+});
+
+test('attaches a body that arrives after webRequest completes', async () => {
+  const { monitor, stored } = loadMonitor();
+  const url = 'https://api.example.com/late';
+  const completed = completeWebRequest(monitor, url);
+  await sendDevToolsEvents(monitor, url);
+  await completed;
+
+  assert.strictEqual(stored[0].response_preview, '{"ok":true}');
+  assert.strictEqual(monitor.responseBodyWaiters.size, 0);
+});
+
+test('matches the final url of a redirected request', async () => {
+  const { monitor, stored } = loadMonitor();
+  const source = { tabId: 7 };
+  monitor.handleDebuggerEvent(source, 'Network.requestWillBeSent', { requestId: '1234.56', request: { url: 'https://example.com/old', method: 'GET' } });
+  await sendDevToolsEvents(monitor, 'https://example.com/new');
+  await completeWebRequest(monitor, 'https://example.com/new');
+
+  assert.strictEqual(stored[0].response_preview, '{"ok":true}');
+});
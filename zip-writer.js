@@ -0,0 +1,139 @@
+// Writer for ZIP archives, used by the "Create ZIP" export
+// Entries are DEFLATE-compressed through CompressionStream when the browser supports it
+class ZipWriter {
+  constructor() {
+    this.entries = [];
+    this.parts = [];
+    this.offset = 0;
+    this.encoder = new TextEncoder();
+    this.crcTable = null;
+  }
+
+  async addFile(name, content, modified = new Date()) {
+    const data = typeof content === 'string' ? this.encoder.encode(content) : content;
+    const nameBytes = this.encoder.encode(name);
+    const crc = this.crc32(data);
+
+    // Keep the deflated bytes only when they are actually smaller
+    let method = 0;
+    let stored = data;
+    const compressed = await this.deflate(data);
+    if (compressed && compressed.length < data.length) {
+      method = 8;
+      stored = compressed;
+    }
+
+    if (data.length > 0xffffffff || this.offset > 0xffffffff) {
+      throw new Error('ZIP archive exceeds the 4 GB limit');
+    }
+
+    const entry = {
+      name,
+      nameBytes,
+      method,
+      crc,
+      size: data.length,
+      compressedSize: stored.length,
+      offset: this.offset,
+      ...this.dosDateTime(modified)
+    };
+
+    const header = new Uint8Array(30 + nameBytes.length);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, 0x04034b50, true); // Local file header signature
+    view.setUint16(4, 20, true); // Version needed to extract
+    view.setUint16(6, 0x0800, true); // Flags: UTF-8 file names
+    view.setUint16(8, method, true);
+    view.setUint16(10, entry.time, true);
+    view.setUint16(12, entry.date, true);
+    view.setUint32(14, crc, true);
+    view.setUint32(18, entry.compressedSize, true);
+    view.setUint32(22, entry.size, true);
+    view.setUint16(26, nameBytes.length, true);
+    view.setUint16(28, 0, true); // Extra field length
+    header.set(nameBytes, 30);
+
+    this.parts.push(header, stored);
+    this.offset += header.length + stored.length;
+    this.entries.push(entry);
+    return entry;
+  }
+
+  toBlob() {
+    const directoryOffset = this.offset;
+    let directorySize = 0;
+
+    this.entries.forEach(entry => {
+      const header = new Uint8Array(46 + entry.nameBytes.length);
+      const view = new DataView(header.buffer);
+      view.setUint32(0, 0x02014b50, true); // Central directory header signature
+      view.setUint16(4, 20, true); // Version made by
+      view.setUint16(6, 20, true); // Version needed to extract
+      view.setUint16(8, 0x0800, true); // Flags: UTF-8 file names
+      view.setUint16(10, entry.method, true);
+      view.setUint16(12, entry.time, true);
+      view.setUint16(14, entry.date, true);
+      view.setUint32(16, entry.crc, true);
+      view.setUint32(20, entry.compressedSize, true);
+      view.setUint32(24, entry.size, true);
+      view.setUint16(28, entry.nameBytes.length, true);
+      view.setUint32(42, entry.offset, true);
+      header.set(entry.nameBytes, 46);
+
+      this.parts.push(header);
+      directorySize += header.length;
+    });
+
+    const end = new Uint8Array(22);
+    const view = new DataView(end.buffer);
+    view.setUint32(0, 0x06054b50, true); // End of central directory signature
+    view.setUint16(8, this.entries.length, true);
+    view.setUint16(10, this.entries.length, true);
+    view.setUint32(12, directorySize, true);
+    view.setUint32(16, directoryOffset, true);
+    this.parts.push(end);
+
+    return new Blob(this.parts, { type: 'application/zip' });
+  }
+
+  async deflate(data) {
+    if (typeof CompressionStream !== 'function') {
+      return null;
+    }
+
+    try {
+      const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    } catch (error) {
+      console.warn('DEFLATE unavailable, storing uncompressed:', error);
+      return null;
+    }
+  }
+
+  crc32(data) {
+    if (!this.crcTable) {
+      this.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        this.crcTable[n] = c;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+      crc = this.crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  dosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+}